@@ -66,6 +66,8 @@ print_usage() {
     echo -e "  ${GREEN}-d, --device${NC} ${CYAN}DEVICE${NC}     Use specific device (default: local)"
     echo -e "  ${GREEN}-H, --host${NC} ${CYAN}HOST${NC}         Connect to remote frida-server"
     echo -e "  ${GREEN}--bridge${NC} ${CYAN}PATH${NC}           Override frida-il2cpp-bridge path"
+    echo -e "  ${GREEN}--symbols${NC} ${CYAN}PATH${NC}          Hook by RVA from script.json / dump.cs (path seen by the agent)"
+    echo -e "  ${GREEN}--symbols-class${NC} ${CYAN}REGEX${NC}   Select symbol entries by class name"
     echo -e "  ${GREEN}--list${NC}                  List running processes"
     echo -e "  ${GREEN}--help${NC}                  Show this help message"
     echo ""
@@ -75,6 +77,7 @@ print_usage() {
     echo -e "  ${CYAN}$0${NC} ${GREEN}-n${NC} ${CYAN}\"bin.x64\"${NC}          ${GRAY}# Attach by name${NC}"
     echo -e "  ${CYAN}$0${NC} ${GREEN}-f${NC} ${CYAN}com.example.app${NC}    ${GRAY}# Spawn and attach${NC}"
     echo -e "  ${CYAN}$0${NC} ${GREEN}--bridge${NC} ${CYAN}/path/to/bridge.js${NC} ${GRAY}# Override bridge path${NC}"
+    echo -e "  ${CYAN}$0${NC} ${GREEN}-n${NC} ${CYAN}\"bin.x64\"${NC} ${GREEN}--symbols${NC} ${CYAN}script.json${NC} ${GREEN}--symbols-class${NC} ${CYAN}'Network'${NC}"
     echo -e "  ${CYAN}$0${NC} ${GREEN}--list${NC}                   ${GRAY}# List processes${NC}"
     echo ""
 
@@ -152,12 +155,24 @@ validate_modules() {
         "$CLASS_HOOKER_DIR/constants.js"
         "$CLASS_HOOKER_DIR/config.js"
         "$CLASS_HOOKER_DIR/utils.js"
+        "$CLASS_HOOKER_DIR/delegates.js"
         "$CLASS_HOOKER_DIR/formatters.js"
         "$CLASS_HOOKER_DIR/http-analysis.js"
         "$CLASS_HOOKER_DIR/ui/colors.js"
         "$CLASS_HOOKER_DIR/ui/box.js"
         "$CLASS_HOOKER_DIR/ui/index.js"
+        "$CLASS_HOOKER_DIR/generics.js"
+        "$CLASS_HOOKER_DIR/profiler.js"
+        "$CLASS_HOOKER_DIR/threads.js"
+        "$CLASS_HOOKER_DIR/exceptions.js"
+        "$CLASS_HOOKER_DIR/conditions.js"
+        "$CLASS_HOOKER_DIR/sampling.js"
+        "$CLASS_HOOKER_DIR/patches.js"
+        "$CLASS_HOOKER_DIR/statemachines.js"
         "$CLASS_HOOKER_DIR/core.js"
+        "$CLASS_HOOKER_DIR/symbols.js"
+        "$CLASS_HOOKER_DIR/invoke.js"
+        "$CLASS_HOOKER_DIR/rpc.js"
         "$CLASS_HOOKER_DIR/index.js"
     )
 
@@ -179,6 +194,13 @@ validate_modules() {
     MODULE_LIST=("${MODULES[@]}")
 }
 
+json_escape() {
+    local value="$1"
+    value="${value//\\/\\\\}"
+    value="${value//\"/\\\"}"
+    printf '%s' "$value"
+}
+
 list_processes() {
     echo -e "${BLUE}Listing running processes...${NC}"
     frida-ps
@@ -209,6 +231,15 @@ build_frida_command() {
     if [[ -n "${HOST:-}" ]]; then
         FRIDA_ARGS+=("-H" "$HOST")
     fi
+
+    # Symbol import is passed as a Frida parameter (rpc.exports.init)
+    if [[ -n "${SYMBOLS_PATH:-}" ]]; then
+        local symbols_json="\"path\":\"$(json_escape "$SYMBOLS_PATH")\""
+        if [[ -n "${SYMBOLS_CLASS:-}" ]]; then
+            symbols_json+=",\"classRegex\":\"$(json_escape "$SYMBOLS_CLASS")\""
+        fi
+        FRIDA_ARGS+=("-P" "{\"symbols\":{${symbols_json}}}")
+    fi
 }
 
 ###############################################################################
@@ -246,6 +277,14 @@ main() {
                 echo ""
                 shift 2
                 ;;
+            --symbols)
+                SYMBOLS_PATH="$2"
+                shift 2
+                ;;
+            --symbols-class)
+                SYMBOLS_CLASS="$2"
+                shift 2
+                ;;
             --list)
                 list_processes
                 ;;
@@ -0,0 +1,455 @@
+"use strict";
+
+/**
+ * Conditional logging: small, safe expression language evaluated in onEnter
+ *
+ * Syntax:
+ * - Operands: args.<name>, args[<index>], this, thread, followed by .field paths
+ *   (args.packet.opcode, this.session.userId; auto-properties resolve to their backing field)
+ * - Literals: numbers (42, -1, 0x42), "strings" / 'strings', /regex/flags,
+ *   true, false, null, instance references Class#3 (as shown in call lines)
+ * - Operators: == != < <= > >= matches contains, && || !, parentheses
+ *
+ * Semantics:
+ * - Primitive and enum arguments compare as numbers, strings by content
+ * - matches / contains use the string content, or the formatted value for objects
+ * - A bare operand is truthy when non-zero, non-empty and non-null
+ * - Evaluation errors (unreadable memory) make the condition false
+ *
+ * No JavaScript is evaluated: expressions are tokenized and parsed here.
+ *
+ * @module conditions
+ */
+
+(function(global) {
+  const utils = global.IL2CPPHooker.utils;
+  const formatters = global.IL2CPPHooker.formatters;
+
+  function getUI() {
+    return global.IL2CPPHooker.ui;
+  }
+
+  const OPERATORS = ["==", "!=", "<=", ">=", "<", ">", "matches", "contains"];
+
+  // Tokenizer
+
+  function tokenize(src) {
+    const tokens = [];
+    let i = 0;
+    // Tokens are pushed before i moves past them
+    const push = (token) => tokens.push(Object.assign(token, { at: i }));
+    while (i < src.length) {
+      const ch = src[i];
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+      const two = src.slice(i, i + 2);
+      if (["==", "!=", "<=", ">=", "&&", "||"].includes(two)) {
+        push({ t: "op", v: two });
+        i += 2;
+        continue;
+      }
+      if ("<>!()".includes(ch)) {
+        push({ t: ch === "(" || ch === ")" ? ch : "op", v: ch });
+        i++;
+        continue;
+      }
+      if (ch === '"' || ch === "'") {
+        let j = i + 1;
+        let str = "";
+        while (j < src.length && src[j] !== ch) {
+          if (src[j] === "\\" && j + 1 < src.length) j++;
+          str += src[j++];
+        }
+        if (j >= src.length) throw new Error(`unterminated string at ${i}`);
+        push({ t: "lit", v: { str } });
+        i = j + 1;
+        continue;
+      }
+      if (ch === "/") {
+        let j = i + 1;
+        let body = "";
+        while (j < src.length && src[j] !== "/") {
+          if (src[j] === "\\" && j + 1 < src.length) body += src[j++];
+          body += src[j++];
+        }
+        if (j >= src.length) throw new Error(`unterminated regex at ${i}`);
+        const flags = (src.slice(j + 1).match(/^[gimsuy]*/) || [""])[0];
+        push({ t: "lit", v: { re: new RegExp(body, flags.replace("g", "")) } });
+        i = j + 1 + flags.length;
+        continue;
+      }
+      const num = src.slice(i).match(/^(-?)(0x[0-9a-fA-F]+|\d+(\.\d+)?)/);
+      if (num) {
+        const magnitude = num[2].startsWith("0x") ? parseInt(num[2], 16) : Number(num[2]);
+        push({ t: "lit", v: { num: num[1] ? -magnitude : magnitude } });
+        i += num[0].length;
+        continue;
+      }
+      const ident = src.slice(i).match(/^[A-Za-z_][\w.`]*(\[\d+\][\w.]*)?(#\d+)?/);
+      if (ident) {
+        push(identToken(ident[0]));
+        i += ident[0].length;
+        continue;
+      }
+      throw new Error(`unexpected "${ch}" at ${i}`);
+    }
+    // Source text of each token, for error messages
+    tokens.forEach((token, k) => {
+      const end = k + 1 < tokens.length ? tokens[k + 1].at : src.length;
+      token.text = src.slice(token.at, end).trim();
+    });
+    return tokens;
+  }
+
+  function identToken(word) {
+    if (word === "matches" || word === "contains") return { t: "op", v: word };
+    if (word === "true") return { t: "lit", v: { num: 1 } };
+    if (word === "false") return { t: "lit", v: { num: 0 } };
+    if (word === "null") return { t: "lit", v: { isNull: true } };
+    const inst = word.match(/^(.+)#(\d+)$/);
+    if (inst) return { t: "lit", v: { instance: Number(inst[2]), className: inst[1] } };
+    return { t: "ref", v: word };
+  }
+
+  // Parser (recursive descent) → AST
+
+  function parse(src, method) {
+    const tokens = tokenize(src);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+
+    function parseOr() {
+      let node = parseAnd();
+      while (peek() && peek().v === "||") {
+        next();
+        node = { type: "or", left: node, right: parseAnd() };
+      }
+      return node;
+    }
+
+    function parseAnd() {
+      let node = parseUnary();
+      while (peek() && peek().v === "&&") {
+        next();
+        node = { type: "and", left: node, right: parseUnary() };
+      }
+      return node;
+    }
+
+    function parseUnary() {
+      if (peek() && peek().t === "op" && peek().v === "!") {
+        next();
+        return { type: "not", expr: parseUnary() };
+      }
+      return parseCompare();
+    }
+
+    function parseCompare() {
+      const left = parseOperand();
+      const tok = peek();
+      if (tok && tok.t === "op" && OPERATORS.includes(tok.v)) {
+        next();
+        return { type: "cmp", op: tok.v, left, right: parseOperand() };
+      }
+      return { type: "truthy", expr: left };
+    }
+
+    function parseOperand() {
+      const tok = next();
+      if (!tok) throw new Error("unexpected end of expression");
+      if (tok.t === "(") {
+        const node = parseOr();
+        if (!next() || tokens[pos - 1].t !== ")") throw new Error("missing )");
+        return { type: "group", expr: node };
+      }
+      if (tok.t === "lit") return { type: "lit", value: tok.v };
+      if (tok.t === "ref") return resolveRef(tok.v, method);
+      throw new Error(`unexpected "${tok.text}" at ${tok.at}`);
+    }
+
+    const ast = parseOr();
+    if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos].text}" at ${tokens[pos].at}`);
+    return ast;
+  }
+
+  /**
+   * Resolves args.<name> / args[i] / this / thread (+ field path) against the method
+   */
+  function resolveRef(word, method) {
+    const indexed = word.match(/^args\[(\d+)\](.*)$/);
+    if (indexed) {
+      const index = Number(indexed[1]);
+      if (index >= method.parameters.length) throw new Error(`args[${index}] out of range`);
+      return { type: "arg", index, path: splitPath(indexed[2]) };
+    }
+    const parts = word.split(".");
+    if (parts[0] === "args") {
+      const index = method.parameters.findIndex((p) => p.name === parts[1]);
+      if (index === -1) throw new Error(`unknown argument "${parts[1]}"`);
+      return { type: "arg", index, path: parts.slice(2) };
+    }
+    if (parts[0] === "this") {
+      if (method.isStatic) throw new Error("this is not available in static methods");
+      return { type: "this", path: parts.slice(1) };
+    }
+    if (parts[0] === "thread" && parts.length === 1) return { type: "thread" };
+    throw new Error(`unknown name "${word}" (use args.<name>, args[i], this or thread)`);
+  }
+
+  function splitPath(rest) {
+    return rest.split(".").filter(Boolean);
+  }
+
+  // Runtime values: { num, str, ptr, obj, type, isNull }
+
+  function signedBig(hex, bits) {
+    const u = BigInt(hex) & ((BigInt(1) << BigInt(bits)) - BigInt(1));
+    const max = BigInt(1) << BigInt(bits - 1);
+    return Number(u >= max ? u - (BigInt(1) << BigInt(bits)) : u);
+  }
+
+  /**
+   * Converts a raw argument register to a runtime value based on its type
+   */
+  function fromArg(ptr, type) {
+    if (!ptr) return { isNull: true };
+    try {
+      if (type && type.class && type.class.isEnum) return { num: ptr.toInt32() };
+    } catch (_) {}
+    const name = type ? String(type.name).replace(/^System\./, "") : "";
+    switch (name) {
+      case "Boolean":
+        return { num: ptr.toInt32() !== 0 ? 1 : 0 };
+      case "SByte":
+        return { num: (ptr.toInt32() << 24) >> 24 };
+      case "Byte":
+        return { num: ptr.toUInt32() & 0xff };
+      case "Int16":
+        return { num: (ptr.toInt32() << 16) >> 16 };
+      case "UInt16":
+      case "Char":
+        return { num: ptr.toUInt32() & 0xffff };
+      case "Int32":
+        return { num: ptr.toInt32() };
+      case "UInt32":
+        return { num: ptr.toUInt32() };
+      case "Int64":
+        return { num: signedBig(ptr.toString(), 64) };
+      case "UInt64":
+        return { num: Number(BigInt(ptr.toString())) };
+      case "String":
+        return { str: utils.tryReadString(ptr), ptr, isNull: ptr.isNull() };
+      default:
+        return { ptr, type, isNull: ptr.isNull() };
+    }
+  }
+
+  /**
+   * Converts an Il2Cpp field value to a runtime value
+   */
+  function fromFieldValue(v) {
+    if (v === null || v === undefined) return { isNull: true };
+    if (typeof v === "number") return { num: v };
+    if (typeof v === "boolean") return { num: v ? 1 : 0 };
+    if (typeof v === "string") return { str: v };
+    if (typeof Int64 !== "undefined" && (v instanceof Int64 || v instanceof UInt64)) {
+      return { num: Number(v.toString()) };
+    }
+    if (v instanceof Il2Cpp.String) {
+      return { str: v.isNull() ? null : v.content, ptr: v.handle, isNull: v.isNull() };
+    }
+    if (v instanceof NativePointer) return { ptr: v, isNull: v.isNull() };
+    if (v.handle instanceof NativePointer) return { ptr: v.handle, obj: v, isNull: v.handle.isNull() };
+    return { str: String(v) };
+  }
+
+  function readField(val, name) {
+    if (val.isNull) return { isNull: true };
+    const obj = val.obj || (val.ptr ? new Il2Cpp.Object(val.ptr) : null);
+    if (!obj) return { isNull: true };
+    const field = obj.tryField(name) || obj.tryField(`<${name}>k__BackingField`);
+    if (!field) throw new Error(`no field ${name}`);
+    return fromFieldValue(field.value);
+  }
+
+  function textOf(val, ctx) {
+    if (val.str !== undefined && val.str !== null) return val.str;
+    if (val.num !== undefined) return String(val.num);
+    if (val.isNull) return "null";
+    if (val.ptr) {
+      const typeName = val.type ? val.type.name : "";
+      return String(formatters.formatArg(val.ptr, typeName, ctx.config.formatting.strings.maxLength, ctx.config, val.type));
+    }
+    return "";
+  }
+
+  function instanceMatches(val, lit) {
+    if (!val.ptr || val.isNull) return false;
+    const id = getUI().instanceIdOf(val.ptr.toString());
+    if (id !== lit.instance) return false;
+    try {
+      const klass = new Il2Cpp.Object(val.ptr).class;
+      const fullName = klass.namespace ? `${klass.namespace}.${klass.name}` : klass.name;
+      return lit.className === klass.name || lit.className === fullName;
+    } catch (_) {
+      return true;
+    }
+  }
+
+  function equals(a, b, ctx) {
+    const lit = b.instance !== undefined ? b : a.instance !== undefined ? a : null;
+    if (lit) return instanceMatches(lit === b ? a : b, lit);
+    if (a.isNull && b.isNull) return true;
+    if (a.isNull || b.isNull) {
+      const other = a.isNull ? b : a;
+      return !!other.isNull || (other.ptr ? other.ptr.isNull() : false);
+    }
+    if (a.num !== undefined && b.num !== undefined) return a.num === b.num;
+    if (typeof a.str === "string" && typeof b.str === "string") return a.str === b.str;
+    if (a.num !== undefined || b.num !== undefined) {
+      const other = a.num !== undefined ? b : a;
+      const num = a.num !== undefined ? a.num : b.num;
+      if (other.ptr && other.str === undefined) return other.ptr.equals(ptr(num));
+      return Number(textOf(other, ctx)) === num;
+    }
+    if (a.str !== undefined || b.str !== undefined) return textOf(a, ctx) === textOf(b, ctx);
+    if (a.ptr && b.ptr) return a.ptr.equals(b.ptr);
+    return false;
+  }
+
+  function truthy(val) {
+    if (val.isNull) return false;
+    if (val.num !== undefined) return val.num !== 0;
+    if (val.str !== undefined) return !!val.str;
+    return !!val.ptr && !val.ptr.isNull();
+  }
+
+  function evalValue(node, ctx) {
+    switch (node.type) {
+      case "lit":
+        return node.value;
+      case "group":
+        return { num: evalBool(node.expr, ctx) ? 1 : 0 };
+      case "thread":
+        return { str: ctx.threadLabel(), num: ctx.tid };
+      case "arg":
+      case "this": {
+        let val = node.type === "this"
+          ? { ptr: ctx.args[0], isNull: ctx.args[0].isNull() }
+          : fromArg(ctx.args[node.index + ctx.argStart], ctx.method.parameters[node.index].type);
+        node.path.forEach((name) => {
+          val = readField(val, name);
+        });
+        return val;
+      }
+      default:
+        throw new Error(`bad node ${node.type}`);
+    }
+  }
+
+  function evalBool(node, ctx) {
+    switch (node.type) {
+      case "or":
+        return evalBool(node.left, ctx) || evalBool(node.right, ctx);
+      case "and":
+        return evalBool(node.left, ctx) && evalBool(node.right, ctx);
+      case "not":
+        return !evalBool(node.expr, ctx);
+      case "truthy":
+        return truthy(evalValue(node.expr, ctx));
+      case "cmp": {
+        const a = evalValue(node.left, ctx);
+        const b = evalValue(node.right, ctx);
+        switch (node.op) {
+          case "==":
+            return equals(a, b, ctx);
+          case "!=":
+            return !equals(a, b, ctx);
+          case "<":
+          case "<=":
+          case ">":
+          case ">=": {
+            const x = a.num !== undefined ? a.num : Number(textOf(a, ctx));
+            const y = b.num !== undefined ? b.num : Number(textOf(b, ctx));
+            if (Number.isNaN(x) || Number.isNaN(y)) return false;
+            if (node.op === "<") return x < y;
+            if (node.op === "<=") return x <= y;
+            if (node.op === ">") return x > y;
+            return x >= y;
+          }
+          case "matches":
+            if (!b.re) throw new Error("matches expects a /regex/");
+            return b.re.test(textOf(a, ctx));
+          case "contains":
+            return textOf(a, ctx).includes(textOf(b, ctx));
+          default:
+            return false;
+        }
+      }
+      default:
+        return truthy(evalValue(node, ctx));
+    }
+  }
+
+  /**
+   * Compiles an expression for a method (argument names are resolved now)
+   * @throws {Error} On syntax errors or unknown names
+   * @returns {Object} Compiled condition { source, ast }
+   */
+  function compile(source, method) {
+    return { source, ast: parse(String(source), method) };
+  }
+
+  /**
+   * Evaluates a compiled condition for one call
+   * @param {Object} compiled - From compile()
+   * @param {Object} ctx - { args, argStart, method, config, tid, threadLabel() }
+   * @returns {boolean} True if the call should be logged
+   */
+  function test(compiled, ctx) {
+    try {
+      return evalBool(compiled.ast, ctx);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Finds and compiles the condition configured for a method. Keys may be
+   * "Method", "Class.Method" or "Namespace.Class.Method"; the compiled result
+   * is cached on the method per expression, and invalid expressions are
+   * reported once and ignored.
+   * @returns {Object|null} Compiled condition or null
+   */
+  function conditionFor(conditionsCfg, method, classFullName) {
+    if (!conditionsCfg) return null;
+    const label = method.__hookLabel || method.name;
+    const keys = utils.methodConfigKeys(classFullName, method.name, label);
+    const key = keys.find((k) => typeof conditionsCfg[k] === "string" && conditionsCfg[k].trim());
+    if (!key) return null;
+
+    const source = conditionsCfg[key];
+    const cached = method.__condition;
+    if (cached && cached.source === source) return cached.compiled;
+
+    let compiled = null;
+    try {
+      compiled = compile(source, method);
+    } catch (e) {
+      getUI().warn(`Ignoring condition for ${classFullName}.${label} "${source}": ${e.message}`);
+    }
+    method.__condition = { source, compiled };
+    return compiled;
+  }
+
+  // Export to global scope
+  global.IL2CPPHooker = global.IL2CPPHooker || {};
+  global.IL2CPPHooker.conditions = {
+    compile,
+    test,
+    conditionFor,
+  };
+})(globalThis);
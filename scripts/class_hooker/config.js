@@ -5,14 +5,26 @@
  *
  * Hierarchical organization with logical grouping:
  *
- * target     → Class selection criteria
+ * target     → Class selection criteria (single descriptor or array of descriptors)
+ * deferred   → Wait for targets that are not loaded yet
  * filters    → Method filtering rules
+ * profiling  → Per-method call latency
+ * conditions → Per-method argument predicates for logging
+ * patch      → Return value and argument overrides
+ * stub       → Methods replaced by a constant (original not run)
+ * sampling   → Per-method logging budgets for hot methods
+ * exceptions → Managed exception tracing
+ * delegates  → Delegate / callback decoding and following
  * performance → Rate limiting and resource management
  * logging    → What information to log
  * formatting → How to display logged values
  * dump       → Deep object inspection settings
+ * symbols    → Hook methods by RVA from Il2CppDumper / Cpp2IL output
  * analysis   → Special analysis handlers
  *
+ * Partial configs can be pushed at runtime (rpc.exports.reloadConfig or a
+ * {type: "config"} message); they are validated against this shape first.
+ *
  * @module config
  */
 
@@ -23,29 +35,118 @@
       namespace: null, // Optional: "Com.Example.Network"
       className: null, // Required: "ApiClient"
       fullName: null, // Alternative: "Com.Example.Network.ApiClient"
-      pickIndex: 0, // If multiple matches, select this index
+      classRegex: null, // Alternative: "(Client|Service)$"
+      namespaceRegex: null, // Optional: "^Com\\.Example\\.Network(\\.|$)"
+      matchAll: false, // Hook every matching class instead of pickIndex
+      derivesFrom: null, // Optional: concrete subclasses of "BaseHandler" (implies matchAll)
+      implements: null, // Optional: concrete implementers of "IMessageHandler" (implies matchAll)
+      pickIndex: 0, // If multiple matches, select this index, several ([0, 2]) or "all"
       allowPartial: false, // Enable substring matching
+      filters: null, // Optional: per-target overrides of the global filters below
+    },
+    // Multiple classes: use an array of descriptors (shared maxHooks budget)
+    // target: [
+    //   { fullName: "Com.Example.Network.ApiClient" },
+    //   { fullName: "Com.Example.Network.Serializer", filters: { methodRegex: "^Write" } },
+    // ],
+
+    deferred: {
+      enabled: false, // Keep polling for targets not found at startup (spawn mode, DLC assemblies)
+      timeoutMs: 60000, // Give up after this long (0 = wait forever)
+      pollMs: 500, // Delay between checks (rescan only when new assemblies appear)
+      rescanMs: 5000, // Full rescan interval (late-initialized classes in loaded assemblies)
     },
 
     filters: {
       methodNameContains: null, // Substring filter: "Request"
       methodRegex: null, // Regex filter: "^get_|^set_"
-      exclude: [], // Method names to exclude
+      exclude: [], // Methods or overloads to exclude: "Send", "Send(Dictionary<String, Int32>, Int32)"
+      paramCount: null, // Exact parameter count: 2
+      paramTypes: null, // Positional parameter types ("*" = any): ["string", "*"]
+      returnType: null, // Return type name: "Boolean" / "bool"
+      isStatic: null, // true = static only, false = instance only
+      signatureRegex: null, // Regex on "static Ret Name(T a, U b)" as printed in METHODS
+      includeInherited: false, // Also hook methods declared on parent classes (up to System.Object)
+      includeOverrides: false, // Also hook overrides of selected virtual methods in derived classes
+      genericInstances: false, // Generic target class (Cache`1): hook its instances initialized at runtime
+      genericArgs: null, // Generic method instantiations: { Deserialize: ["PlayerData", ["String", "Int32"]] }
+      stateMachines: false, // Also follow async / iterator methods through their state machine (MoveNext)
+    },
+
+    profiling: {
+      enabled: true, // Time every hooked call (duration on return lines + per-method table)
+      samples: 1000, // Recent durations kept per method for p50 / p95
+      sortBy: "total", // Table order: "total" | "avg" | "max" | "min" | "p50" | "p95" | "count"
+      top: 25, // Rows in the table (0 = all)
+      printOnExit: true, // Print the table when the script is unloaded
+    },
+
+    // Per-method conditions: only matching calls are logged (see conditions.js)
+    // Keys: "Method", "Class.Method" or "Namespace.Class.Method"
+    conditions: {
+      // Send: "args.packet.opcode == 0x42",
+      // "ApiClient.Post": "args.url matches /login/ && this == ApiClient#1",
+    },
+
+    // Return value / argument overrides ("Method", "Class.Method" or "Namespace.Class.Method")
+    // Values: true/false, integers, strings, null, { new: "Namespace.Class" }, { ptr: "0x..." }
+    patch: {
+      // IsPremium: { return: true },
+      // GetServerUrl: { return: "http://127.0.0.1:8080" },
+      // "ApiClient.Send": { args: { url: "http://127.0.0.1:8080/api" } }, // by name or index
+      // CreateSession: { return: { new: "Game.Session" } },
+    },
+
+    // Methods replaced entirely (Interceptor.replace), among the hooked ones.
+    // return: value as in patch (default 0 / null); callOriginalIf: condition expression
+    stub: {
+      // UploadTelemetry: {},
+      // VerifyAssets: { return: true },
+      // "Analytics.Track": { callOriginalIf: "args.eventName == \"crash\"" },
+    },
+
+    sampling: {
+      every: 1, // Log 1 of every N calls per method (1 = all)
+      maxPerSecond: 0, // Max logged calls per method per second (0 = unlimited)
+      muteAfter: 0, // Stop logging a method after K logged calls (0 = never)
+      reportMs: 5000, // Interval of "suppressed X calls" lines
+      methods: {
+        // Per-method budgets ("Method", "Class.Method" or "Namespace.Class.Method"):
+        // Update: { every: 100 },
+        // "ApiClient.Send": { maxPerSecond: 5, muteAfter: 200 },
+      },
+    },
+
+    exceptions: {
+      enabled: false, // Report managed exceptions thrown during hooked calls
+      global: false, // Also log exceptions thrown outside hooked calls (indexes all methods at startup)
+      stackTrace: true, // Include the managed stack trace string when available
+    },
+
+    delegates: {
+      decode: true, // Show delegates (Action, Func<>, events) as their target method and instance
+      hookTargets: false, // Hook the target methods of delegate arguments when first seen (follow callbacks)
+      maxTargets: 20, // Callback targets hooked this way per session (counts toward maxHooks)
     },
 
     performance: {
       enabled: true, // Master on/off switch
       hookDelayMs: 25, // Delay between hook installations (stability)
       maxHooks: 300, // Maximum hooks per session (safety limit)
+      quarantine: true, // Catch hook errors: raw-only logging after the first, detach after maxHookErrors
+      maxHookErrors: 5, // Errors before a hook is detached (0 = never detach)
     },
 
     logging: {
       args: true, // Log method arguments
       return: false, // Log return values
+      refArgs: true, // Show final out / ref argument values on the return line (when one is printed)
       showThis: true, // Display 'this' pointer
       showStack: false, // Capture stack traces (expensive!)
       maxArgs: 8, // Maximum arguments to display
       rawArgs: true, // Show raw pointers in CALL log (prevents crashes on complex objects)
+      threads: null, // Only log calls from: "main" | "background" | [ids, names, "pool", "native"]
+      showThread: false, // Tag call lines with the thread ("main", managed name, pool-T<id>, T<id>)
     },
 
     formatting: {
@@ -64,6 +165,8 @@
         tryToString: true, // Invoke managed ToString() method
         showFields: true, // Display shallow field preview
         maxFields: 6, // Maximum fields in preview
+        depth: 0, // Nested objects expanded this many levels (0 = shallow, pointers only)
+        nestedMaxFields: 3, // Maximum fields per nested object
         omitFields: [], // Field names to hide in previews
         omitFieldPatterns: ["^<.*>k__BackingField$"], // Regex patterns to hide noise
         fieldAllowlistByType: {
@@ -96,6 +199,16 @@
       includeStatic: false, // Include static fields in dump
     },
 
+    symbols: {
+      enabled: false, // Hook methods listed in a static analysis export
+      path: null, // File readable by the agent: "/data/local/tmp/script.json"
+      data: null, // Embedded contents: string, script.json object or [{ rva, name }]
+      format: "auto", // "auto" | "script.json" | "dump.cs" | "list"
+      classRegex: null, // Select entries by class: "^Com\\.Example\\.Network"
+      methodRegex: null, // Select entries by method name: "^Send"
+      // Also accepted as a Frida parameter: -P '{"symbols": {"path": "...", "classRegex": "..."}}'
+    },
+
     analysis: {
       // HTTP request/response detection
       http: {
@@ -114,6 +227,10 @@
       // minimal: single line per call
       // normal: structured output with tree formatting
       // verbose: full details + pointers + stack traces
+      callTree: {
+        enabled: false, // Indent nested hooked calls per thread and pair returns with calls
+        showThread: true, // Prefix lines with the thread ("main" or T<id>)
+      },
       instanceIds: {
         enabled: true, // Tag instances as Class#N for quick visual grouping
       },
@@ -171,6 +288,7 @@
         target[key] = Array.isArray(defVal) ? defVal.slice() : defVal;
         return;
       }
+      if (Array.isArray(curVal)) return;
       if (defVal && typeof defVal === "object" && !Array.isArray(defVal)) {
         mergeDefaults(curVal, defVal);
       }
@@ -189,8 +307,133 @@
     return cfg;
   }
 
+  function isPlainObject(val) {
+    return !!val && typeof val === "object" && !Array.isArray(val);
+  }
+
+  // Maps keyed by user data (type names, color names) rather than options;
+  // nothing below them is shape-checked
+  const FREE_FORM_PATHS = [
+    "formatting.objects.fieldAllowlistByType",
+    "formatting.objects.fieldDenylistByType",
+    "ui.colors.palette",
+    "conditions",
+    "patch",
+    "stub",
+    "sampling.methods",
+  ];
+
+  // Options of one target descriptor (null: any value, e.g. pickIndex 0 / [0, 2] / "all")
+  const TARGET_DESCRIPTOR = {
+    assembly: null,
+    namespace: null,
+    className: null,
+    fullName: null,
+    classRegex: null,
+    namespaceRegex: null,
+    matchAll: false,
+    derivesFrom: null,
+    implements: null,
+    pickIndex: null,
+    allowPartial: false,
+    filters: null,
+  };
+
+  function checkShape(cur, val, path, errors) {
+    if (cur === null || cur === undefined || val === null) return;
+    if (Array.isArray(cur)) {
+      if (!Array.isArray(val)) errors.push(`${path}: expected an array`);
+      return;
+    }
+    if (isPlainObject(cur)) {
+      if (!isPlainObject(val)) {
+        errors.push(`${path}: expected an object`);
+        return;
+      }
+      if (FREE_FORM_PATHS.includes(path)) return;
+      const open = Object.keys(cur).length === 0;
+      Object.keys(val).forEach((key) => {
+        if (!open && !(key in cur)) {
+          errors.push(`${path}.${key}: unknown option`);
+          return;
+        }
+        checkShape(cur[key], val[key], `${path}.${key}`, errors);
+      });
+      return;
+    }
+    if (typeof cur !== typeof val) {
+      errors.push(`${path}: expected ${typeof cur}, got ${typeof val}`);
+    }
+  }
+
+  /**
+   * Validates a partial configuration against the current one.
+   * Unknown options and type mismatches are reported; options whose current
+   * value is null accept any value. Target descriptors (one or an array) are
+   * checked option by option; whether they match is up to selectClasses.
+   * @returns {Array<string>} Error messages (empty when valid)
+   */
+  function validateConfigPatch(cfg, patch) {
+    if (!isPlainObject(patch)) return ["config patch must be an object"];
+    const errors = [];
+    Object.keys(patch).forEach((key) => {
+      if (key === "target") {
+        validateTargets(cfg, patch.target, errors);
+        return;
+      }
+      if (!(key in cfg)) {
+        errors.push(`${key}: unknown section`);
+        return;
+      }
+      checkShape(cfg[key], patch[key], key, errors);
+    });
+    return errors;
+  }
+
+  function validateTargets(cfg, target, errors) {
+    if (!target || typeof target !== "object") {
+      errors.push("target: expected an object or array");
+      return;
+    }
+    const list = Array.isArray(target) ? target : [target];
+    list.forEach((descriptor, i) => {
+      const path = Array.isArray(target) ? `target[${i}]` : "target";
+      checkShape(TARGET_DESCRIPTOR, descriptor, path, errors);
+      if (isPlainObject(descriptor) && descriptor.filters) {
+        checkShape(cfg.filters, descriptor.filters, `${path}.filters`, errors);
+      }
+    });
+  }
+
+  function deepMerge(cfg, patch) {
+    Object.keys(patch).forEach((key) => {
+      const val = patch[key];
+      if (isPlainObject(val) && isPlainObject(cfg[key])) {
+        deepMerge(cfg[key], val);
+      } else {
+        cfg[key] = Array.isArray(val) ? val.slice() : val;
+      }
+    });
+    return cfg;
+  }
+
+  /**
+   * Deep-merges a validated patch into the config in place (arrays are
+   * replaced). target is replaced as a whole: a new descriptor must not
+   * inherit criteria (namespace, className...) of the previous one.
+   */
+  function mergeConfigPatch(cfg, patch) {
+    const { target, ...rest } = patch;
+    if (target !== undefined) {
+      cfg.target = Array.isArray(target) ? target.slice() : Object.assign({}, target);
+    }
+    return deepMerge(cfg, rest);
+  }
+
   // Export to global scope
   global.IL2CPPHooker = global.IL2CPPHooker || {};
   global.IL2CPPHooker.CONFIG = CONFIG;
   global.IL2CPPHooker.normalizeConfig = normalizeConfig;
+  global.IL2CPPHooker.validateConfigPatch = validateConfigPatch;
+  global.IL2CPPHooker.mergeConfigPatch = mergeConfigPatch;
 })(globalThis);
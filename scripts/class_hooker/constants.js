@@ -16,6 +16,9 @@
  * - Maximum safe array read size (prevents OOM)
  * - Stack trace depth for performance balance
  *
+ * Type Aliases:
+ * - C# keyword aliases accepted wherever a type name is configured
+ *
  * @module constants
  */
 
@@ -45,8 +48,29 @@
     MAX_BACKTRACE_DEPTH: 6,
   };
 
+  // C# keyword aliases accepted in type filters and generic arguments
+  const TYPE_ALIASES = {
+    bool: "System.Boolean",
+    byte: "System.Byte",
+    sbyte: "System.SByte",
+    char: "System.Char",
+    short: "System.Int16",
+    ushort: "System.UInt16",
+    int: "System.Int32",
+    uint: "System.UInt32",
+    long: "System.Int64",
+    ulong: "System.UInt64",
+    float: "System.Single",
+    double: "System.Double",
+    decimal: "System.Decimal",
+    string: "System.String",
+    object: "System.Object",
+    void: "System.Void",
+  };
+
   // Export to global scope
   global.IL2CPPHooker = global.IL2CPPHooker || {};
   global.IL2CPPHooker.OFFSETS = OFFSETS;
   global.IL2CPPHooker.LIMITS = LIMITS;
+  global.IL2CPPHooker.TYPE_ALIASES = TYPE_ALIASES;
 })(globalThis);
@@ -4,24 +4,49 @@
  * Core class selection and method hooking orchestration
  *
  * Class Discovery:
+ * - Single or multiple target descriptors per session
  * - Multi-assembly search with optional assembly filtering
- * - Namespace and class name matching (exact or partial)
+ * - Namespace and class name matching (exact, partial or regex)
+ * - Subclass / interface implementer discovery (derivesFrom, implements)
  * - Intelligent suggestions when no matches found
- * - Multiple match handling with configurable selection
+ * - Multiple match handling with configurable selection (one, several or all)
+ * - Deferred resolution of targets loaded after startup
  *
  * Method Filtering:
  * - Name substring filtering
  * - Regex pattern matching
+ * - Signature filters (parameter count/types, return type, static/instance)
+ * - Overload-specific exclusion ("Send(String, Int32)")
+ * - Optional inherited methods and derived-class overrides
+ * - Generic method / class instantiations (explicit or seen at runtime)
+ * - Async / iterator state machines (MoveNext) of selected methods
  * - Virtual address validation (hooks only executable methods)
  *
  * Hook Installation:
  * - Rate-limited installation (configurable delay between hooks)
- * - Safety limits (max hooks per session)
+ * - Safety limits (max hooks per session, shared by all targets)
  * - Argument and return value logging with type-aware formatting
+ * - Final out / ref argument values shown with the return value
  * - Stack trace capture for debugging
+ * - Per-call duration for the profiler
+ * - Per-thread call nesting for the call-tree output and exception correlation
+ * - Thread filtering and labelling (logging.threads, logging.showThread)
+ * - Per-method argument conditions (only matching calls are logged)
+ * - Per-method sampling / rate limits with periodic suppression reports
+ * - Return value and argument overrides (CONFIG.patch), applied to every call
+ * - Method stubs (CONFIG.stub) installed with Interceptor.replace
+ * - State machine steps logged as continuations of the original call
+ * - Callback following: target methods of delegate arguments hooked on first sight
  * - Special HTTP method handlers (NewRequest, CallApi, SendAsync)
  * - Custom method analysis support (extensible)
  * - Object dumping for configured types
+ * - Per-hook error accounting: raw-only downgrade, then quarantine (detach)
+ *
+ * Hook Registry:
+ * - Every installed hook keeps its InvocationListener (listHooks)
+ * - Live hook / unhook / re-attach and re-filtering of hooked classes
+ * - Target diffing for configuration reloads (only changes are (un)hooked)
+ * - Logging pause without detaching
  *
  * @module core
  */
@@ -30,7 +55,15 @@
   const utils = global.IL2CPPHooker.utils;
   const formatters = global.IL2CPPHooker.formatters;
   const httpAnalysis = global.IL2CPPHooker.httpAnalysis;
-  const { LIMITS } = global.IL2CPPHooker;
+  const generics = global.IL2CPPHooker.generics;
+  const profiler = global.IL2CPPHooker.profiler;
+  const threads = global.IL2CPPHooker.threads;
+  const conditions = global.IL2CPPHooker.conditions;
+  const sampling = global.IL2CPPHooker.sampling;
+  const patches = global.IL2CPPHooker.patches;
+  const statemachines = global.IL2CPPHooker.statemachines;
+  const delegates = global.IL2CPPHooker.delegates;
+  const { LIMITS, TYPE_ALIASES } = global.IL2CPPHooker;
 
   /**
    * Get UI module reference
@@ -94,6 +127,24 @@
     }
   }
 
+  const METHOD_ATTRIBUTE_VIRTUAL = 0x0040;
+
+  function isVirtualMethod(method) {
+    try {
+      return (method.flags & METHOD_ATTRIBUTE_VIRTUAL) !== 0;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function sameClass(a, b) {
+    try {
+      return a.handle.equals(b.handle);
+    } catch (_) {
+      return false;
+    }
+  }
+
   /**
    * Normalizes target configuration by extracting namespace/className from fullName
    * and removing .dll extension from assembly name if present
@@ -111,18 +162,126 @@
     if (cfg.assembly && cfg.assembly.toLowerCase().endsWith(".dll")) {
       cfg.assembly = cfg.assembly.slice(0, -4);
     }
+    cfg.__classRe = compileTargetRegex(cfg.classRegex, "classRegex");
+    cfg.__namespaceRe = compileTargetRegex(cfg.namespaceRegex, "namespaceRegex");
     return cfg;
   }
 
+  function compileTargetRegex(pattern, label) {
+    if (!pattern) return null;
+    try {
+      return new RegExp(pattern);
+    } catch (e) {
+      getUI().warn(`Invalid target.${label} "${pattern}": ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Checks if a target descriptor has enough criteria to select classes
+   */
+  function hasClassCriteria(target) {
+    return Boolean(
+      target.className ||
+      target.__classRe ||
+      target.__namespaceRe ||
+      target.derivesFrom ||
+      target.implements
+    );
+  }
+
+  /**
+   * Expands the target configuration (object or array) into normalized descriptors.
+   * Per-target filters override the global filters key by key.
+   */
+  function normalizeTargets(targetCfg, defaultFilters) {
+    const list = Array.isArray(targetCfg) ? targetCfg : [targetCfg];
+    return list
+      .filter((t) => t && typeof t === "object")
+      .map((t) => {
+        const target = normalizeTarget(Object.assign({}, t));
+        target.filters = Object.assign({}, defaultFilters || {}, t.filters || {});
+        return target;
+      });
+  }
+
+  /**
+   * Short human-readable label for a target descriptor
+   */
+  function describeTarget(target) {
+    if (target.fullName) return target.fullName;
+    if (target.namespace && target.className) return `${target.namespace}.${target.className}`;
+    if (target.className) return target.className;
+    const parts = [];
+    if (target.derivesFrom) parts.push(`: ${target.derivesFrom}`);
+    if (target.implements) parts.push(`: ${target.implements}`);
+    if (target.namespaceRegex) parts.push(`ns=/${target.namespaceRegex}/`);
+    if (target.classRegex) parts.push(`class=/${target.classRegex}/`);
+    return parts.length > 0 ? parts.join(" ") : "<unnamed target>";
+  }
+
+  function typeNameMatches(klass, wanted) {
+    const name = klass.name;
+    const fullName = klass.namespace ? `${klass.namespace}.${name}` : name;
+    const bareName = name.replace(/`\d+$/, "");
+    return wanted === fullName || wanted === name || wanted === bareName;
+  }
+
+  function classFullNameOf(klass) {
+    return klass.namespace ? `${klass.namespace}.${klass.name}` : klass.name;
+  }
+
+  /**
+   * Checks derivesFrom / implements criteria by walking parent and interface names
+   * (interfaces of the class and of its ancestors).
+   * @returns {string|null} Matched base type label ("" when no such criteria), or null
+   */
+  function hierarchyMatch(klass, target) {
+    if (!target.derivesFrom && !target.implements) return "";
+    const via = [];
+    try {
+      if (klass.isInterface || klass.isAbstract) return null;
+
+      if (target.derivesFrom) {
+        let parent = klass.parent;
+        while (parent && !typeNameMatches(parent, target.derivesFrom)) {
+          parent = parent.parent;
+        }
+        if (!parent) return null;
+        via.push(classFullNameOf(parent));
+      }
+
+      if (target.implements) {
+        // klass.interfaces only lists the interfaces declared on that class
+        let iface = null;
+        for (let k = klass; k && !iface; k = k.parent) {
+          iface = k.interfaces.find((i) => typeNameMatches(i, target.implements));
+        }
+        if (!iface) return null;
+        via.push(classFullNameOf(iface));
+      }
+    } catch (_) {
+      return null;
+    }
+    return via.join(", ");
+  }
+
   /**
    * Checks if class matches target criteria
    */
   function classMatches(klass, target) {
-    const nameMatch = target.allowPartial
-      ? klass.name.includes(target.className || "")
-      : klass.name === target.className;
-    if (!nameMatch) return false;
+    if (target.__classRe) {
+      if (!target.__classRe.test(klass.name)) return false;
+    } else if (target.className) {
+      const nameMatch = target.allowPartial
+        ? klass.name.includes(target.className)
+        : klass.name === target.className;
+      if (!nameMatch) return false;
+    }
 
+    if (target.__namespaceRe) {
+      return target.__namespaceRe.test(klass.namespace || "");
+    }
     if (target.namespace) {
       const nsMatch = target.allowPartial
         ? klass.namespace.includes(target.namespace)
@@ -133,18 +292,22 @@
   }
 
   /**
-   * Searches for IL2CPP classes matching the target configuration
+   * Searches for IL2CPP classes matching the target configuration.
+   * Returns every match when target.matchAll is set (or pickIndex is "all"),
+   * otherwise the pickIndex one(s).
+   * With options.quiet, nothing is printed unless a class is found.
    */
-  function selectClass(target) {
+  function selectClasses(target, options) {
     const ui = getUI();
+    const quiet = options?.quiet ?? false;
     const assemblies = [];
 
     if (target.assembly) {
       try {
         assemblies.push(Il2Cpp.domain.assembly(target.assembly));
       } catch (_) {
-        ui.error(`Assembly not found: ${target.assembly}`);
-        return null;
+        if (!quiet) ui.error(`Assembly not found: ${target.assembly}`);
+        return [];
       }
     } else {
       Il2Cpp.domain.assemblies.forEach((a) => assemblies.push(a));
@@ -154,14 +317,16 @@
     assemblies.forEach((assembly) => {
       try {
         assembly.image.classes.forEach((klass) => {
-          if (classMatches(klass, target)) {
-            matches.push({ assembly, klass });
-          }
+          if (!classMatches(klass, target)) return;
+          const via = hierarchyMatch(klass, target);
+          if (via === null) return;
+          matches.push({ assembly, klass, via: via || null });
         });
       } catch (_) {}
     });
 
     if (matches.length === 0) {
+      if (quiet) return [];
       ui.warn("No matching class found.");
 
       if (target.className) {
@@ -176,7 +341,7 @@
           } catch (_) {}
         });
       }
-      return null;
+      return [];
     }
 
     ui.info(`Found ${matches.length} matching class(es):`);
@@ -184,11 +349,101 @@
       ui.classMatch(i, m.assembly.name, `${m.klass.namespace}.${m.klass.name}`);
     });
 
-    const pick = Math.min(Math.max(target.pickIndex || 0, 0), matches.length - 1);
-    const chosen = matches[pick];
+    if (target.matchAll || target.derivesFrom || target.implements || target.pickIndex === "all") {
+      ui.success(`Using all ${matches.length} matching classes`);
+      return matches;
+    }
 
-    ui.success(`Using [${pick}] ${chosen.assembly.name} -> ${chosen.klass.namespace}.${chosen.klass.name}`);
-    return chosen;
+    const picks = resolvePickIndexes(target.pickIndex, matches.length);
+    picks.forEach((pick) => {
+      const chosen = matches[pick];
+      ui.success(`Using [${pick}] ${chosen.assembly.name} -> ${chosen.klass.namespace}.${chosen.klass.name}`);
+    });
+    return picks.map((pick) => matches[pick]);
+  }
+
+  /**
+   * Resolves target.pickIndex (number or array of numbers) to valid match indexes.
+   * A single index is clamped; out-of-range entries of an array are skipped.
+   */
+  function resolvePickIndexes(pickIndex, count) {
+    if (!Array.isArray(pickIndex)) {
+      return [Math.min(Math.max(Number(pickIndex) || 0, 0), count - 1)];
+    }
+
+    const picks = [];
+    pickIndex.forEach((val) => {
+      const idx = Number(val);
+      if (!Number.isInteger(idx) || idx < 0 || idx >= count) {
+        getUI().warn(`pickIndex ${val} out of range (0-${count - 1}), skipped`);
+        return;
+      }
+      if (!picks.includes(idx)) picks.push(idx);
+    });
+    return picks;
+  }
+
+  function loadedAssemblyCount() {
+    try {
+      return Il2Cpp.domain.assemblies.length;
+    } catch (_) {
+      return -1;
+    }
+  }
+
+  /**
+   * Polls for targets that could not be resolved at startup and calls
+   * onResolved(target, chosen) as soon as each one appears. Classes are
+   * rescanned when the set of loaded assemblies changes, or every rescanMs.
+   */
+  function watchTargets(pending, deferredCfg, onResolved) {
+    const ui = getUI();
+    const startedAt = Date.now();
+    const timeoutMs = deferredCfg.timeoutMs || 0;
+    let remaining = pending.slice();
+    const rescanMs = deferredCfg.rescanMs || 5000;
+    let lastCount = loadedAssemblyCount();
+    let lastScanAt = startedAt;
+
+    remaining.forEach((target) => ui.deferredWait(describeTarget(target), timeoutMs));
+
+    const timer = setInterval(() => {
+      const elapsed = Date.now() - startedAt;
+      const count = loadedAssemblyCount();
+
+      if (count !== lastCount || Date.now() - lastScanAt >= rescanMs) {
+        lastCount = count;
+        lastScanAt = Date.now();
+        remaining = remaining.filter((target) => {
+          let chosen = [];
+          try {
+            chosen = selectClasses(target, { quiet: true });
+          } catch (_) {}
+          if (chosen.length === 0) return true;
+          ui.deferredResolved(describeTarget(target), chosen.length, elapsed);
+          onResolved(target, chosen);
+          return false;
+        });
+      }
+
+      if (remaining.length === 0) {
+        clearInterval(timer);
+        return;
+      }
+      if (timeoutMs > 0 && elapsed >= timeoutMs) {
+        clearInterval(timer);
+        remaining.forEach((target) => {
+          ui.error(`Deferred target not found after ${timeoutMs}ms: ${describeTarget(target)}`);
+        });
+      }
+    }, deferredCfg.pollMs || 500);
+  }
+
+  /**
+   * Searches for the single IL2CPP class matching the target configuration
+   */
+  function selectClass(target) {
+    return selectClasses(target)[0] || null;
   }
 
   /**
@@ -206,10 +461,7 @@
     ui.methodListStart(classFullName, methods.length);
 
     methods.forEach((m, i) => {
-      const params = m.parameters
-        .map((p) => `${p.type.name} ${p.name}`)
-        .join(", ");
-      const sig = `${m.isStatic ? "static " : ""}${m.returnType.name} ${m.name}(${params})`;
+      const sig = methodSignature(m);
       const addrPtr = safeVirtualAddress(m);
       const addr = addrPtr ? addrPtr.toString() : null;
       ui.methodListItem(i, sig, addr);
@@ -218,28 +470,185 @@
     ui.methodListEnd();
   }
 
+  /**
+   * Collects methods declared on the parent chain (System.Object excluded)
+   */
+  function inheritedMethods(klass) {
+    const methods = [];
+    try {
+      let parent = klass.parent;
+      while (parent && classFullNameOf(parent) !== "System.Object") {
+        parent.methods.forEach((m) => methods.push(m));
+        parent = parent.parent;
+      }
+    } catch (_) {}
+    return methods;
+  }
+
+  const derivedClassCache = new Map();
+
+  /**
+   * Finds every loaded class having klass in its parent chain
+   */
+  function findDerivedClasses(klass) {
+    const key = klass.handle.toString();
+    if (derivedClassCache.has(key)) return derivedClassCache.get(key);
+
+    const derived = [];
+    Il2Cpp.domain.assemblies.forEach((assembly) => {
+      try {
+        assembly.image.classes.forEach((candidate) => {
+          try {
+            let parent = candidate.parent;
+            while (parent) {
+              if (sameClass(parent, klass)) {
+                derived.push(candidate);
+                return;
+              }
+              parent = parent.parent;
+            }
+          } catch (_) {}
+        });
+      } catch (_) {}
+    });
+
+    derivedClassCache.set(key, derived);
+    return derived;
+  }
+
+  /**
+   * Collects overrides of the given virtual methods in derived classes
+   */
+  function overrideMethods(klass, methods) {
+    const virtuals = methods.filter(isVirtualMethod);
+    if (virtuals.length === 0) return [];
+
+    const overrides = [];
+    findDerivedClasses(klass).forEach((derived) => {
+      try {
+        derived.methods.forEach((m) => {
+          if (!isVirtualMethod(m)) return;
+          const hit = virtuals.some(
+            (v) => v.name === m.name && v.parameterCount === m.parameterCount
+          );
+          if (hit) overrides.push(m);
+        });
+      } catch (_) {}
+    });
+    return overrides;
+  }
+
+  /**
+   * Rewrites arity notation as C# generics: "List`1[System.String]" → "List<System.String>".
+   * Array brackets ("[]", "[,]") are kept.
+   */
+  function expandArity(name) {
+    let out = "";
+    const closers = [];
+    for (let i = 0; i < name.length; i++) {
+      const ch = name[i];
+      if (ch === "`") {
+        const m = name.slice(i).match(/^`\d+(\[?)/);
+        if (m[1]) {
+          out += "<";
+          closers.push(">");
+        }
+        i += m[0].length - 1;
+      } else if (ch === "[") {
+        out += ch;
+        closers.push("]");
+      } else if (ch === "]") {
+        out += closers.pop() || ch;
+      } else {
+        out += ch;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Canonical form of a type name: arity notation expanded, C# aliases resolved
+   * (also inside generic arguments), whitespace removed.
+   */
+  function normalizeTypeName(name) {
+    return expandArity(String(name).replace(/\s+/g, ""))
+      .replace(/[A-Za-z_][\w.]*/g, (token) => TYPE_ALIASES[token] || token);
+  }
+
+  /**
+   * Compares a runtime type name with a user-supplied one.
+   * Accepts full names, names without namespace (also inside generic arguments),
+   * C# aliases and arity notation: "List<string>" matches
+   * "System.Collections.Generic.List<System.String>".
+   */
+  function typeNameEquals(actual, wanted) {
+    if (!actual || !wanted) return false;
+    const want = wanted.trim();
+    if (want === "*") return true;
+    const a = normalizeTypeName(actual);
+    const w = normalizeTypeName(want);
+    return a === w || generics.shortTypeName(a) === generics.shortTypeName(w);
+  }
+
+  /**
+   * Parses an exclude entry into a method name and optional parameter type list
+   */
+  function parseExcludeEntry(val) {
+    let entry = val.trim();
+    if (!entry) return null;
+    if (entry.startsWith(".")) entry = entry.slice(1);
+
+    let params = null;
+    const paren = entry.indexOf("(");
+    if (paren !== -1) {
+      const close = entry.lastIndexOf(")");
+      const inner = entry.slice(paren + 1, close > paren ? close : undefined);
+      // "Dictionary<String, Int32> data" → "Dictionary<String,Int32>"
+      params = utils.splitParams(inner).map((p) =>
+        p.replace(/\s*,\s*/g, ",").replace(/<\s+/g, "<").replace(/\s+>/g, ">").split(/\s+/)[0]
+      );
+      entry = entry.slice(0, paren);
+    }
+
+    let name = entry.trim().split(/\s+/).pop();
+    if (name.includes(".")) name = name.split(".").pop();
+    return name ? { name, params } : null;
+  }
+
+  function paramTypesMatch(method, types) {
+    const params = method.parameters;
+    if (params.length !== types.length) return false;
+    return types.every((t, i) => typeNameEquals(params[i].type.name, t));
+  }
+
+  function compileFilterRegex(pattern) {
+    if (!pattern) return null;
+    try {
+      return new RegExp(pattern);
+    } catch (_) {
+      return null;
+    }
+  }
+
   /**
    * Builds list of methods to hook based on filters
    */
   function buildHookList(klass, filters) {
     const exclude = Array.isArray(filters.exclude) ? filters.exclude : [];
-    const excludeSet = new Set(
-      exclude
-        .filter((val) => typeof val === "string")
-        .map((val) => {
-          let name = val.trim();
-          if (!name) return null;
-          if (name.startsWith(".")) name = name.slice(1);
-          const paren = name.indexOf("(");
-          if (paren !== -1) name = name.slice(0, paren);
-          if (name.includes(".")) name = name.split(".").pop();
-          return name.trim();
-        })
-        .filter(Boolean)
-    );
+    const excludeEntries = exclude
+      .filter((val) => typeof val === "string")
+      .map(parseExcludeEntry)
+      .filter(Boolean);
+    const signatureRe = compileFilterRegex(filters.signatureRegex);
+    const paramTypes = Array.isArray(filters.paramTypes) ? filters.paramTypes : null;
+
+    const isExcluded = (m) => excludeEntries.some((e) => {
+      if (e.name !== m.name) return false;
+      return e.params === null || paramTypesMatch(m, e.params);
+    });
 
-    return klass.methods.filter((m) => {
-      if (excludeSet.size > 0 && excludeSet.has(m.name)) {
+    const matches = (m) => {
+      if (excludeEntries.length > 0 && isExcluded(m)) {
         return false;
       }
       if (filters.methodNameContains && !m.name.includes(filters.methodNameContains)) {
@@ -251,10 +660,150 @@
           if (!re.test(m.name)) return false;
         } catch (_) {}
       }
+      if (typeof filters.isStatic === "boolean" && m.isStatic !== filters.isStatic) {
+        return false;
+      }
+      if (typeof filters.paramCount === "number" && m.parameterCount !== filters.paramCount) {
+        return false;
+      }
+      if (paramTypes && !paramTypesMatch(m, paramTypes)) {
+        return false;
+      }
+      if (filters.returnType && !typeNameEquals(m.returnType.name, filters.returnType)) {
+        return false;
+      }
+      if (signatureRe && !signatureRe.test(methodSignature(m))) {
+        return false;
+      }
+      return true;
+    };
+
+    const accept = (m) => {
+      if (!matches(m)) return false;
       const addr = safeVirtualAddress(m);
       if (!addr) return false;
       m.__hookAddress = addr;
       return true;
+    };
+
+    const selected = [];
+
+    // Generic instantiations are de-duplicated by address; shared bodies resolve per call
+    const genericByAddress = new Map();
+    const addGeneric = (m) => {
+      const addr = safeVirtualAddress(m);
+      if (!addr) return;
+      const key = addr.toString();
+      const hooked = genericByAddress.get(key);
+      if (hooked) {
+        generics.addSharedVariant(hooked, m);
+        return;
+      }
+      m.__hookAddress = addr;
+      genericByAddress.set(key, m);
+      selected.push(m);
+    };
+
+    let skippedGeneric = 0;
+    const addOpenGeneric = (m, classLabel) => {
+      const instances = generics.explicitInstances(m, filters.genericArgs);
+      if (instances.length === 0) skippedGeneric++;
+      instances.forEach((inst) => {
+        if (classLabel) inst.__hookClass = classLabel;
+        addGeneric(inst);
+      });
+    };
+
+    klass.methods.forEach((m) => {
+      if (generics.isOpenGenericMethod(m)) {
+        if (matches(m)) addOpenGeneric(m, null);
+      } else if (accept(m)) {
+        selected.push(m);
+      }
+    });
+
+    // Open generic class (Cache`1): hook the inflated instances seen at runtime
+    if (generics.isOpenGenericClass(klass)) {
+      if (filters.genericInstances) {
+        generics.inflatedClasses(klass).forEach((inflated) => {
+          const classLabel = generics.classLabel(inflated);
+          inflated.methods.forEach((m) => {
+            if (!matches(m)) return;
+            if (generics.isOpenGenericMethod(m)) {
+              addOpenGeneric(m, classLabel);
+            } else {
+              m.__hookClass = classLabel;
+              addGeneric(m);
+            }
+          });
+        });
+      } else {
+        getUI().info(`${classFullNameOf(klass)} is generic; set filters.genericInstances to hook its runtime instances`);
+      }
+    }
+
+    if (skippedGeneric > 0) {
+      getUI().info(`Skipped ${skippedGeneric} generic method definition(s) without filters.genericArgs`);
+    }
+
+    // Inherited / override additions are de-duplicated by virtual address
+    const seen = new Set(selected.map((m) => m.__hookAddress.toString()));
+    const addUnique = (m) => {
+      const key = m.__hookAddress.toString();
+      if (seen.has(key)) return;
+      seen.add(key);
+      m.__hookClass = classFullNameOf(m.class);
+      selected.push(m);
+    };
+
+    if (filters.includeInherited) {
+      inheritedMethods(klass).filter(accept).forEach(addUnique);
+    }
+    if (filters.includeOverrides) {
+      overrideMethods(klass, selected)
+        .filter((m) => {
+          const addr = safeVirtualAddress(m);
+          if (!addr) return false;
+          m.__hookAddress = addr;
+          return true;
+        })
+        .forEach(addUnique);
+    }
+
+    if (filters.stateMachines) {
+      addStateMachines(klass, selected, seen);
+    }
+    return selected;
+  }
+
+  /**
+   * Adds the MoveNext of the async / iterator state machine behind each
+   * selected method, labelled with the method it belongs to
+   */
+  function addStateMachines(klass, selected, seen) {
+    selected.slice().forEach((owner) => {
+      const found = statemachines.find(owner);
+      if (found.length === 0) return;
+      const ownerClass = owner.__hookClass || classFullNameOf(klass);
+      const ownerLabel = owner.__hookLabel || owner.name;
+      // Returned Task / iterator objects identify the later steps (see leave)
+      owner.__stateMachines = true;
+      found.forEach(({ klass: smClass, moveNext, kind }) => {
+        const addr = safeVirtualAddress(moveNext);
+        if (!addr || seen.has(addr.toString())) return;
+        seen.add(addr.toString());
+        moveNext.__hookAddress = addr;
+        moveNext.__hookClass = ownerClass;
+        moveNext.__hookLabel = `${smClass.name}.MoveNext`;
+        moveNext.__stateMachine = {
+          klass: smClass,
+          kind,
+          className: ownerClass,
+          methodName: ownerLabel,
+          owner: `${ownerClass}.${ownerLabel}`,
+        };
+        selected.push(moveNext);
+      });
     });
   }
 
@@ -311,205 +860,978 @@
   }
 
   /**
-   * Installs Frida interceptors on specified methods with rate limiting
+   * Attaches the logging interceptor to a single method
+   * @returns {InvocationListener} Frida listener
    */
-  function hookMethods(_klass, classFullName, methods, config) {
+  function attachMethodHook(method, plan, addr, config) {
     const ui = getUI();
+    // Inherited / override methods are labelled with their declaring class
+    const classFullName = method.__hookClass || plan.classFullName;
+    const methodLabel = method.__hookLabel || method.name;
+    const health = hookHealthFor(addr);
 
-    if (!config.performance.enabled) {
-      ui.warn("Hooking disabled.");
-      return;
-    }
+    // Logging filters: pause, thread, condition, then sampling budget
+    function isLogged(tid, args, argStart, callClass, callLabel) {
+      if (loggingPaused) return false;
+      if (config.logging.threads != null && !threads.threadAllowed(tid, config.logging.threads)) {
+        return false;
+      }
 
-    let idx = 0;
-    let hooked = 0;
-    let failed = 0;
+      // Conditional logging: non-matching calls are skipped entirely
+      const condition = conditions.conditionFor(config.conditions, method, callClass);
+      if (condition && !conditions.test(condition, {
+        args,
+        argStart,
+        method,
+        config,
+        tid,
+        threadLabel: () => threads.threadLabel(tid),
+      })) {
+        return false;
+      }
+
+      // Sampling / rate limits for hot methods
+      const budget = sampling.budgetFor(config.sampling, callClass, method);
+      return !budget || sampling.allow(`${callClass}.${callLabel}`, budget, config.sampling);
+    }
 
-    ui.info(`Hooking ${methods.length} methods...`);
+    // Call handlers, run with the invocation context as `this`
+    function enter(args) {
+      const tid = Process.getCurrentThreadId();
+      const argStart = method.isStatic ? 0 : 1;
+      // Generic instantiations sharing this body are resolved per call
+      const variant = generics.resolveVariant(method, args, argStart);
+      const callClass = (variant && variant.className) || classFullName;
+      const callLabel = variant ? variant.label : methodLabel;
 
-    const timer = setInterval(() => {
-      if (idx >= methods.length || hooked >= config.performance.maxHooks) {
-        clearInterval(timer);
-        ui.hookSummary(hooked, failed, methods.length);
+      // Patches apply to every call, logged or not (return patch: see onLeave)
+      const patch = patches.ruleFor(config.patch, method, callClass);
+      if (patch) this.__patch = patch;
+      const logged = isLogged(tid, args, argStart, callClass, callLabel);
+      // Arguments are rewritten after the condition saw the original values
+      const patchedArgs = patch ? patches.applyArgs(patch, args, argStart) : null;
+      if (!logged) {
+        // Filtered / sampled-out calls are not logged but still profiled
+        if (config.profiling?.enabled) {
+          this.__ctx = { unlogged: true, callClass, callLabel, startedAt: profiler.now() };
+        }
         return;
       }
 
-      const method = methods[idx++];
-      const sigParams = method.parameters
-        .map((p) => `${p.type.name} ${p.name}`)
-        .join(", ");
-      const sig = `${method.isStatic ? "static " : ""}${method.returnType.name} ${method.name}(${sigParams})`;
+      // Downgraded hooks skip previews, dumps and HTTP analysis
+      const rawOnly = health.raw;
+      const isNewRequest = !rawOnly && config.analysis.http.enabled && method.name === "NewRequest";
+      const httpContext = {};
 
-      try {
-        const addr = method.__hookAddress || safeVirtualAddress(method);
-        if (!addr) {
-          failed++;
-          return;
-        }
-        Interceptor.attach(addr, {
-          onEnter: function(args) {
-            const argStart = method.isStatic ? 0 : 1;
-            const isNewRequest = config.analysis.http.enabled && method.name === "NewRequest";
-            const httpContext = {};
-
-            // Prepare args for UI
-            const argsData = [];
-            const isVerbose = config.ui?.verbosity === 'verbose';
-
-            if (config.logging.args) {
-              for (let i = 0; i < method.parameters.length; i++) {
-                if (i >= config.logging.maxArgs) break;
-                const p = method.parameters[i];
-                const argPtr = args[i + argStart];
-
-                let val;
-                if (config.logging.rawArgs && !isVerbose) {
-                  // Raw mode (safe): just TypeName@pointer
-                  val = formatters.formatArgRaw(argPtr, p.type.name, p.type, config.formatting.numbers);
-                } else {
-                  // Full preview with object fields
-                  val = formatters.formatArg(
-                    argPtr,
-                    p.type.name,
-                    config.formatting.strings.maxLength,
-                    config,
-                    p.type
-                  );
-                  // In verbose mode with rawArgs, merge raw pointer/type once
-                  if (isVerbose && config.logging.rawArgs) {
-                    const raw = formatters.formatArgRaw(argPtr, p.type.name, p.type, config.formatting.numbers);
-                    const ptrStr = argPtr ? argPtr.toString() : null;
-                    val = mergeVerboseRaw(raw, val, ptrStr);
-                  }
-                }
-                argsData.push({ name: p.name || `arg${i}`, value: val });
-              }
-            }
+      // Prepare args for UI
+      const argsData = [];
+      const isVerbose = config.ui?.verbosity === 'verbose';
+
+      if (config.logging.args) {
+        for (let i = 0; i < method.parameters.length; i++) {
+          if (i >= config.logging.maxArgs) break;
+          const p = method.parameters[i];
+          const argPtr = args[i + argStart];
 
-            const collapseCfg = config.ui?.collapse;
-            const collapseByInstance = collapseCfg?.pattern?.enabled && collapseCfg?.pattern?.byInstance !== false;
-            const needsThisPtr = !method.isStatic && (
-              config.logging.showThis ||
-              config.ui?.instanceIds?.enabled ||
-              collapseCfg?.enabled ||
-              collapseByInstance
+          let val;
+          let tree = null;
+          if (rawOnly || (config.logging.rawArgs && !isVerbose)) {
+            // Raw mode (safe): just TypeName@pointer
+            val = formatters.formatArgRaw(argPtr, p.type.name, p.type, config.formatting.numbers);
+          } else {
+            // Full preview with object fields; nested objects as an indented tree
+            tree = formatters.previewTree(argPtr, p.type.name, p.type, config);
+            val = tree ? tree.value : formatters.formatArg(
+              argPtr,
+              p.type.name,
+              config.formatting.strings.maxLength,
+              config,
+              p.type
             );
-            const thisPtr = needsThisPtr ? args[0].toString() : null;
+            // In verbose mode with rawArgs, merge raw pointer/type once
+            if (isVerbose && config.logging.rawArgs) {
+              const raw = formatters.formatArgRaw(argPtr, p.type.name, p.type, config.formatting.numbers);
+              const ptrStr = argPtr ? argPtr.toString() : null;
+              val = mergeVerboseRaw(raw, val, ptrStr);
+            }
+          }
+          argsData.push({
+            name: p.name || `arg${i}`,
+            value: val,
+            patched: !!patchedArgs && patchedArgs.has(i),
+            fields: tree ? tree.fields : null,
+            truncated: !!tree && tree.truncated,
+          });
+        }
+      }
 
-            // Store context for onLeave
-            this.__ctx = {
-              isNewRequest,
-              httpContext,
-            };
+      const collapseCfg = config.ui?.collapse;
+      const collapseByInstance = collapseCfg?.pattern?.enabled && collapseCfg?.pattern?.byInstance !== false;
+      const needsThisPtr = !method.isStatic && (
+        config.logging.showThis ||
+        config.ui?.instanceIds?.enabled ||
+        collapseCfg?.enabled ||
+        collapseByInstance
+      );
+      const thisPtr = needsThisPtr ? args[0].toString() : null;
 
-            if (isNewRequest) {
-              // HTTP block - collect data now, output in onLeave
-              analyzeNewRequest(method, args, argStart, config, httpContext);
-            } else {
-              // Regular hook call
-              ui.hookCall({
-                className: classFullName,
-                methodName: method.name,
-                args: argsData,
-                thisPtr,
-                showThis: config.logging.showThis,
-              });
-            }
+      // By-ref (out / ref) arguments are read again on return
+      const refArgs = config.logging.refArgs && !rawOnly
+        ? method.parameters
+          .map((p, i) => ({ name: p.name || `arg${i}`, ptr: args[i + argStart], type: p.type }))
+          .filter((ref) => ref.type.isByReference)
+        : [];
 
-            // Custom method analysis
-            if (isAnalyzeMethod(method.name, config.analysis.custom.methods)) {
-              ui.analyzeStart(method.name);
-              ui.analyzeEnd();
-            }
+      // Per-thread frames: call-tree nesting and call ids, exception correlation,
+      // state machine steps tied to their original call
+      const callTree = !!config.ui?.callTree?.enabled;
+      const tracked = callTree || config.exceptions?.enabled || method.__stateMachines
+        ? threads.enter(tid, `${callClass}.${callLabel}`, this.context.sp)
+        : null;
+      const frame = callTree ? tracked : null;
+      const thread = frame || config.logging.showThread ? threads.threadLabel(tid) : null;
 
-            // Dump objects if configured
-            if (config.dump.enabled) {
-              for (let i = 0; i < method.parameters.length; i++) {
-                const p = method.parameters[i];
-                if (!p || !p.type) continue;
-                if (!formatters.shouldDumpType(p.type.name, config.dump)) continue;
-                const argPtr = args[i + argStart];
-                formatters.dumpObjectFields(argPtr, p.type.name, config.dump);
-              }
-            }
+      // Store context for onLeave
+      this.__ctx = {
+        isNewRequest,
+        httpContext,
+        callClass,
+        callLabel,
+        tracked,
+        frame,
+        thread,
+        refArgs,
+      };
 
-            // Stack trace if enabled
-            if (config.logging.showStack) {
-              const stack = Thread.backtrace(this.context, Backtracer.ACCURATE)
-                .slice(0, LIMITS.MAX_BACKTRACE_DEPTH)
-                .map(DebugSymbol.fromAddress)
-                .join("\n");
-              ui.stackTrace(stack);
-            }
-          },
-
-          onLeave: function(retval) {
-            // Guard against missing context (onEnter may have crashed)
-            if (!this.__ctx) return;
-            const { isNewRequest, httpContext } = this.__ctx;
-
-            if (isNewRequest) {
-              // Complete HTTP block
-              const info = httpAnalysis.extractRequestSummary(retval, {
-                maxStringLength: config.formatting.strings.maxLength,
-                reqToStringMaxLen: config.formatting.strings.httpMaxLength,
-              });
-
-              ui.httpBlock({
-                method: httpContext.method,
-                path: httpContext.path,
-                url: httpContext.url,
-                body: httpContext.body,
-                headers: info?.headersBlock,
-              });
-            } else if (config.logging.return) {
-              const ret = formatters.formatReturn(
+      if (isNewRequest) {
+        // HTTP block - collect data now, output in onLeave
+        analyzeNewRequest(method, args, argStart, config, httpContext);
+      } else {
+        // Regular hook call
+        ui.hookCall({
+          className: callClass,
+          methodName: callLabel,
+          via: plan.via,
+          args: argsData,
+          thisPtr,
+          showThis: config.logging.showThis,
+          frame,
+          thread,
+          patched: patchedArgs && patchedArgs.size > 0 ? patch.args.map((a) => a.name) : null,
+        });
+      }
+
+      // Callbacks passed to this call are hooked to see what runs when they fire
+      if (config.delegates?.hookTargets && !rawOnly) {
+        followCallbacks(method, args, argStart, config);
+      }
+
+      // Custom method analysis
+      if (isAnalyzeMethod(method.name, config.analysis.custom.methods)) {
+        ui.analyzeStart(method.name);
+        ui.analyzeEnd();
+      }
+
+      // Dump objects if configured
+      if (config.dump.enabled && !rawOnly) {
+        for (let i = 0; i < method.parameters.length; i++) {
+          const p = method.parameters[i];
+          if (!p || !p.type) continue;
+          if (!formatters.shouldDumpType(p.type.name, config.dump)) continue;
+          const argPtr = args[i + argStart];
+          formatters.dumpObjectFields(argPtr, p.type.name, config.dump, config);
+        }
+      }
+
+      // Stack trace if enabled
+      if (config.logging.showStack) {
+        const stack = Thread.backtrace(this.context, Backtracer.ACCURATE)
+          .slice(0, LIMITS.MAX_BACKTRACE_DEPTH)
+          .map(DebugSymbol.fromAddress)
+          .join("\n");
+        ui.stackTrace(stack);
+      }
+
+      // Timed last so logging work is not counted
+      if (config.profiling?.enabled) {
+        this.__ctx.startedAt = profiler.now();
+      }
+    }
+
+    function leave(retval) {
+      // Unlogged call without profiling, or onEnter failed
+      if (!this.__ctx) return;
+      const patch = this.__patch;
+      const { isNewRequest, httpContext, callClass, callLabel, startedAt, tracked, frame, thread, refArgs } = this.__ctx;
+      let durationMs = null;
+      if (startedAt !== undefined) {
+        durationMs = profiler.now() - startedAt;
+        profiler.record(callClass, callLabel, durationMs, config.profiling.samples);
+      }
+      if (this.__ctx.unlogged) return;
+      if (tracked) threads.leave(tracked);
+      if (tracked && method.__stateMachines) statemachines.track(retval, tracked.id);
+
+      if (isNewRequest) {
+        // Complete HTTP block
+        const info = httpAnalysis.extractRequestSummary(retval, {
+          maxStringLength: config.formatting.strings.maxLength,
+          reqToStringMaxLen: config.formatting.strings.httpMaxLength,
+        });
+
+        ui.httpBlock({
+          method: httpContext.method,
+          path: httpContext.path,
+          url: httpContext.url,
+          body: httpContext.body,
+          headers: info?.headersBlock,
+        });
+      } else if (config.logging.return || frame || (patch && patch.ret)) {
+        // Call tree always closes the call, with the value when return logging is on;
+        // a patched return is always shown (value logged here is the original).
+        // Out / ref values only join a return line that is printed anyway.
+        let ret;
+        if (config.logging.return) {
+          ret = health.raw
+            ? formatters.formatArgRaw(retval, method.returnType.name, method.returnType, config.formatting.numbers)
+            : formatters.formatReturn(
                 retval,
                 method.returnType.name,
                 config.formatting.strings.maxLength,
                 config,
                 method.returnType
               );
-              ui.hookReturn({
-                className: classFullName,
-                methodName: method.name,
-                value: ret,
-              });
-            }
+        }
+        ui.hookReturn({
+          className: callClass,
+          methodName: callLabel,
+          value: ret,
+          durationMs,
+          frame,
+          thread,
+          patched: patch && patch.ret ? patch.ret.display : null,
+          refs: refArgs.map((ref) => ({
+            name: ref.name,
+            value: formatters.formatByRefResult(ref.ptr, ref.type, config.formatting.strings.maxLength, config),
+          })),
+        });
+      }
 
-            // API response methods
-            if (
-              config.analysis.http.enabled &&
-              (method.name.includes("CallApi") || method.name.includes("SendAsync"))
-            ) {
-              const summary = httpAnalysis.extractResponseSummary(retval, {
-                maxStringLength: config.formatting.strings.maxLength,
-              });
-              if (summary) {
-                ui.httpResponse(summary);
-              }
-            }
-          },
+      // API response methods
+      if (
+        !health.raw &&
+        config.analysis.http.enabled &&
+        (method.name.includes("CallApi") || method.name.includes("SendAsync"))
+      ) {
+        const summary = httpAnalysis.extractResponseSummary(retval, {
+          maxStringLength: config.formatting.strings.maxLength,
         });
+        if (summary) {
+          ui.httpResponse(summary);
+        }
+      }
+    }
+
+    // Errors (exceptions, access violations) are counted per hook instead of
+    // escaping to Frida; see recordHookError for downgrade / quarantine
+    return Interceptor.attach(addr, {
+      onEnter: function(args) {
+        if (health.quarantined) return;
+        try {
+          enter.call(this, args);
+        } catch (e) {
+          if (this.__ctx && this.__ctx.tracked) threads.leave(this.__ctx.tracked);
+          this.__ctx = null;
+          recordHookError(health, addr, e, config);
+        }
+      },
+
+      onLeave: function(retval) {
+        try {
+          leave.call(this, retval);
+        } catch (e) {
+          recordHookError(health, addr, e, config);
+        }
+        // Return patches apply after logging (which reads the original value)
+        if (this.__patch) {
+          try {
+            patches.applyReturn(this.__patch, retval);
+          } catch (e) {
+            recordHookError(health, addr, e, config);
+          }
+        }
+      },
+    });
+  }
+
+  /**
+   * Hooks a state machine's MoveNext: each step (start, await / yield,
+   * completion) is logged as a continuation of the original method call
+   */
+  function attachStateMachineHook(method, addr, config) {
+    const ui = getUI();
+    const info = method.__stateMachine;
+    const health = hookHealthFor(addr);
+
+    function report(step, event, tid, sp) {
+      const callTree = !!config.ui?.callTree?.enabled;
+      ui.stateMachineStep(Object.assign({
+        className: info.className,
+        methodName: info.methodName,
+        kind: info.kind,
+        callId: step.callId,
+        frame: callTree ? threads.current(tid, sp) : null,
+        thread: callTree || config.logging.showThread ? threads.threadLabel(tid) : null,
+      }, event));
+    }
+
+    return Interceptor.attach(addr, {
+      onEnter: function(args) {
+        if (health.quarantined || loggingPaused) return;
+        try {
+          const tid = Process.getCurrentThreadId();
+          if (config.logging.threads != null && !threads.threadAllowed(tid, config.logging.threads)) return;
+          const sp = this.context.sp;
+          const step = statemachines.enter(info, args[0], tid, sp);
+          this.__step = step;
+          this.__tid = tid;
+          this.__sp = sp;
+          report(step, { event: step.event, state: step.state }, tid, sp);
+        } catch (e) {
+          this.__step = null;
+          recordHookError(health, addr, e, config);
+        }
+      },
+
+      onLeave: function(retval) {
+        if (!this.__step) return;
+        try {
+          report(this.__step, statemachines.leave(this.__step, retval, config), this.__tid, this.__sp);
+        } catch (e) {
+          recordHookError(health, addr, e, config);
+        }
+      },
+    });
+  }
+
+  /**
+   * Stub rule configured for a hooked method (CONFIG.stub)
+   * @returns {Object|null} Compiled stub or null
+   */
+  function stubRuleFor(method, plan, config) {
+    return patches.stubFor(config.stub, method, method.__hookClass || plan.classFullName);
+  }
+
+  /**
+   * Replaces a method with a stub (Interceptor.replace). The stub returns its
+   * configured value, or calls the original when callOriginalIf matches.
+   * @returns {Object} Listener-like handle; detach() restores the original
+   */
+  function attachMethodStub(method, plan, addr, stub, config) {
+    const ui = getUI();
+    const classFullName = method.__hookClass || plan.classFullName;
+    const methodLabel = method.__hookLabel || method.name;
+    const argStart = method.isStatic ? 0 : 1;
+    // this + parameters + hidden MethodInfo*
+    const types = new Array(argStart + method.parameters.length + 1).fill("pointer");
+    const original = new NativeFunction(addr, "pointer", types);
+
+    const replacement = new NativeCallback(function(...args) {
+      let callOriginal = false;
+      // Nothing may escape into native code from here
+      try {
+        const tid = Process.getCurrentThreadId();
+        callOriginal = !!stub.condition && conditions.test(stub.condition, {
+          args,
+          argStart,
+          method,
+          config,
+          tid,
+          threadLabel: () => threads.threadLabel(tid),
+        });
+        if (!loggingPaused && (config.logging.threads == null || threads.threadAllowed(tid, config.logging.threads))) {
+          ui.stubCall({
+            className: classFullName,
+            methodName: methodLabel,
+            value: callOriginal ? null : stub.display,
+            thread: config.logging.showThread ? threads.threadLabel(tid) : null,
+          });
+        }
+      } catch (_) {}
+      return callOriginal ? original(...args) : stub.encode();
+    }, "pointer", types);
+
+    Interceptor.replace(addr, replacement);
+    return {
+      // Keeps the callback alive as long as the replacement is installed
+      callback: replacement,
+      detach() {
+        Interceptor.revert(addr);
+      },
+    };
+  }
+
+  /**
+   * Installs a method's hook: the step logger for state machine MoveNext,
+   * its stub when one is configured, the logging interceptor otherwise
+   * @returns {Object} { listener, stub } (stub: compiled rule or null)
+   */
+  function installHook(method, plan, addr, config) {
+    if (method.__stateMachine) {
+      return { listener: attachStateMachineHook(method, addr, config), stub: null };
+    }
+    const stub = stubRuleFor(method, plan, config);
+    if (stub) {
+      return { listener: attachMethodStub(method, plan, addr, stub, config), stub };
+    }
+    return { listener: attachMethodHook(method, plan, addr, config), stub: null };
+  }
+
+  /**
+   * Stubbed methods of a hook plan, for the banner
+   * @returns {Array<Object>} { method, value }
+   */
+  function stubbedMethods(plan, config) {
+    if (!config.stub || Object.keys(config.stub).length === 0) return [];
+    return plan.methods
+      .map((method) => {
+        const stub = stubRuleFor(method, plan, config);
+        return stub ? { method: method.__hookLabel || method.name, value: stub.display } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Builds the display signature of a method
+   */
+  function methodSignature(method) {
+    const params = method.parameters
+      .map((p) => `${p.type.name} ${p.name}`)
+      .join(", ");
+    const name = method.__hookLabel || method.name;
+    return `${method.isStatic ? "static " : ""}${method.returnType.name} ${name}(${params})`;
+  }
+
+  // Hooks installed this session (shared maxHooks budget across calls)
+  let installedHooks = 0;
+
+  // Hook registry: id → { id, method, plan, address, signature, listener, stub }.
+  // Detached hooks keep their entry (listener = null) so they can be re-attached.
+  const registry = new Map();
+  const registryByAddress = new Map();
+  let nextHookId = 1;
+
+  // Per-hook error state by address: { errors, lastError, raw, quarantined }
+  const hookHealth = new Map();
+
+  function hookHealthFor(addr) {
+    const key = addr.toString();
+    let health = hookHealth.get(key);
+    if (!health) {
+      health = { errors: 0, lastError: null, raw: false, quarantined: false };
+      hookHealth.set(key, health);
+    }
+    return health;
+  }
+
+  /**
+   * Counts an error thrown inside a hook. The first error downgrades the hook
+   * to raw-only logging; performance.maxHookErrors errors detach it (quarantine).
+   * With performance.quarantine disabled the error is rethrown to Frida.
+   */
+  function recordHookError(health, addr, e, config) {
+    health.errors++;
+    health.lastError = e && e.message ? e.message : String(e);
+    if (!config.performance.quarantine) throw e;
+    if (health.quarantined) return;
+
+    const ui = getUI();
+    const entry = registryByAddress.get(addr.toString());
+    const signature = entry ? entry.signature : addr.toString();
+    const maxErrors = config.performance.maxHookErrors;
+    if (maxErrors > 0 && health.errors >= maxErrors) {
+      health.quarantined = true;
+      ui.hookQuarantined(signature, health.errors, health.lastError);
+      // Detach outside of the interceptor callback
+      if (entry) setTimeout(() => detachHook(entry, false), 0);
+      return;
+    }
+    if (!health.raw) {
+      health.raw = true;
+      ui.warn(`${signature}: ${health.lastError} (switching to raw logging)`);
+    }
+  }
+
+  /**
+   * Hooks quarantined after repeated errors
+   * @returns {Array<Object>} { signature, errors, lastError }
+   */
+  function quarantinedHooks() {
+    return Array.from(registry.values())
+      .filter((entry) => hookHealth.get(entry.address.toString())?.quarantined)
+      .map((entry) => {
+        const health = hookHealth.get(entry.address.toString());
+        return { signature: entry.signature, errors: health.errors, lastError: health.lastError };
+      });
+  }
+
+  // Logging switch (hooks stay attached while paused)
+  let loggingPaused = false;
+
+  function registerHook(method, plan, addr, signature, listener) {
+    const entry = { id: nextHookId++, method, plan, address: addr, signature, listener };
+    registry.set(entry.id, entry);
+    registryByAddress.set(addr.toString(), entry);
+    return entry;
+  }
+
+  /**
+   * Detaches an installed hook. With forget, the entry is dropped from the
+   * registry (it can then be hooked again by filters); otherwise it is kept
+   * detached until re-attached by id.
+   */
+  function detachHook(entry, forget) {
+    if (entry.listener) {
+      try {
+        entry.listener.detach();
+      } catch (_) {}
+      entry.listener = null;
+      installedHooks--;
+    }
+    if (forget) {
+      registry.delete(entry.id);
+      registryByAddress.delete(entry.address.toString());
+      hookHealth.delete(entry.address.toString());
+    }
+  }
+
+  /**
+   * Re-attaches a detached hook by id
+   * @returns {boolean} True if attached
+   */
+  function reattachHook(id, config) {
+    const entry = registry.get(id);
+    if (!entry) throw new Error(`Unknown hook id: ${id}`);
+    if (entry.listener) return false;
+    if (installedHooks >= config.performance.maxHooks) {
+      throw new Error(`maxHooks (${config.performance.maxHooks}) reached`);
+    }
+    // A re-attached hook starts with a clean error record
+    hookHealth.delete(entry.address.toString());
+    const installed = installHook(entry.method, entry.plan, entry.address, config);
+    entry.listener = installed.listener;
+    entry.stub = installed.stub;
+    installedHooks++;
+    getUI().hookInstalled(entry.signature);
+    return true;
+  }
+
+  /**
+   * Lists registered hooks as plain objects
+   */
+  function listHooks() {
+    return Array.from(registry.values()).map((entry) => ({
+      id: entry.id,
+      className: entry.method.__hookClass || entry.plan.classFullName,
+      method: entry.method.__hookLabel || entry.method.name,
+      signature: entry.signature,
+      address: entry.address.toString(),
+      active: entry.listener !== null,
+      stub: !!entry.stub,
+      errors: hookHealth.get(entry.address.toString())?.errors || 0,
+      quarantined: !!hookHealth.get(entry.address.toString())?.quarantined,
+    }));
+  }
 
+  /**
+   * Finds registered hooks by id, "Method" or "Namespace.Class.Method"
+   */
+  function findHooks(spec) {
+    const entries = Array.from(registry.values());
+    if (typeof spec === "number" || /^\d+$/.test(String(spec))) {
+      const entry = registry.get(Number(spec));
+      return entry ? [entry] : [];
+    }
+    const name = String(spec);
+    return entries.filter((entry) => {
+      const method = entry.method.__hookLabel || entry.method.name;
+      const className = entry.method.__hookClass || entry.plan.classFullName;
+      return name === method || name === entry.method.name || name === `${className}.${method}`;
+    });
+  }
+
+  /**
+   * Detaches hooks matching an id or method name; they stay listed for re-attach
+   * @returns {number} Number of hooks detached
+   */
+  function unhookMethod(spec) {
+    let count = 0;
+    findHooks(spec).forEach((entry) => {
+      if (!entry.listener) return;
+      detachHook(entry, false);
+      count++;
+    });
+    return count;
+  }
+
+  function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  /**
+   * Target descriptor of a live class spec ("Namespace.Class" or a descriptor)
+   */
+  function classSpecTarget(classSpec) {
+    const descriptor = typeof classSpec === "string" ? { fullName: classSpec } : Object.assign({}, classSpec);
+    return normalizeTarget(descriptor);
+  }
+
+  /**
+   * Resolves a class the way hookMethod does, then one of its declared or
+   * inherited methods. methodSpec accepts a name or an overload
+   * ("Login(String, String)"); a bare name is matched by argument count.
+   * @returns {Object} { klass, classFullName, method }
+   */
+  function resolveMethod(classSpec, methodSpec, argCount) {
+    const target = classSpecTarget(classSpec);
+    const chosen = selectClasses(target, { quiet: true });
+    if (chosen.length === 0) throw new Error(`Class not found: ${describeTarget(target)}`);
+    const klass = chosen[0].klass;
+    const classFullName = classFullNameOf(klass);
+
+    const entry = parseExcludeEntry(String(methodSpec));
+    if (!entry) throw new Error(`Invalid method: ${methodSpec}`);
+    const candidates = klass.methods.concat(inheritedMethods(klass)).filter((m) =>
+      m.name === entry.name &&
+      (entry.params ? paramTypesMatch(m, entry.params) : m.parameters.length === argCount)
+    );
+    if (candidates.length === 0) {
+      throw new Error(`No method ${methodSpec} taking ${argCount} argument(s) in ${classFullName}`);
+    }
+
+    // Overrides share a signature; only different overloads are ambiguous
+    const signatures = Array.from(new Set(candidates.map(methodSignature)));
+    if (signatures.length > 1) {
+      throw new Error(`Ambiguous overload, use ${entry.name}(Type, ...): ${signatures.join(" | ")}`);
+    }
+    return { klass, classFullName, method: candidates[0] };
+  }
+
+  /**
+   * Hooks a class (all methods passing the global filters) or one of its
+   * methods live. methodSpec accepts a name or an overload: "Send(String, Int32)".
+   * @returns {Array<string>} Signatures queued for hooking
+   */
+  function hookMethod(classSpec, methodSpec, config) {
+    const target = classSpecTarget(classSpec);
+    const chosen = selectClasses(target, { quiet: true });
+    if (chosen.length === 0) throw new Error(`Class not found: ${describeTarget(target)}`);
+
+    let filters = config.filters;
+    if (methodSpec) {
+      const entry = parseExcludeEntry(String(methodSpec));
+      if (!entry) throw new Error(`Invalid method: ${methodSpec}`);
+      filters = {
+        methodRegex: `^${escapeRegex(entry.name)}$`,
+        paramTypes: entry.params,
+        genericArgs: config.filters.genericArgs,
+        genericInstances: config.filters.genericInstances,
+      };
+    }
+
+    const plans = chosen.map(({ klass, assembly, via }) => {
+      const plan = createPlan(klass, assembly, via, filters);
+      // Live hooks are kept when targets are reloaded
+      plan.manual = true;
+      return plan;
+    });
+    const signatures = [];
+    plans.forEach((plan) => plan.methods.forEach((m) => signatures.push(`${plan.classFullName}: ${methodSignature(m)}`)));
+    if (signatures.length === 0) throw new Error(`No hookable method matches ${methodSpec || "the filters"}`);
+
+    hookPlans(plans, config);
+    return signatures;
+  }
+
+  /**
+   * Builds the hook plan of one class
+   */
+  function createPlan(klass, assembly, via, filters) {
+    return {
+      klass,
+      assembly,
+      via,
+      filters,
+      classFullName: classFullNameOf(klass),
+      methods: buildHookList(klass, filters),
+    };
+  }
+
+  /**
+   * Class plans with at least one registered hook
+   */
+  function hookedClassPlans() {
+    const plans = [];
+    registry.forEach((entry) => {
+      if (entry.plan.klass && !plans.includes(entry.plan)) plans.push(entry.plan);
+    });
+    return plans;
+  }
+
+  /**
+   * Forgets the registered hooks of a plan that are not in keep (all if omitted)
+   * @returns {number} Number of active hooks detached
+   */
+  function prunePlan(plan, keep) {
+    let detached = 0;
+    registry.forEach((entry) => {
+      if (entry.plan !== plan) return;
+      if (keep && keep.has(entry.address.toString())) return;
+      if (entry.listener) detached++;
+      detachHook(entry, true);
+    });
+    return detached;
+  }
+
+  /**
+   * Rebuilds a plan's method list with new filters and drops hooks no longer selected
+   * @returns {number} Number of active hooks detached
+   */
+  function refilterPlan(plan, filters) {
+    plan.filters = filters;
+    plan.methods = buildHookList(plan.klass, filters);
+    return prunePlan(plan, new Set(plan.methods.map((m) => m.__hookAddress.toString())));
+  }
+
+  /**
+   * Re-filters every hooked class: hooks no longer selected are detached,
+   * newly selected ones are attached. Values override the current filters
+   * (null clears a filter).
+   * @returns {Object} { classes, detached, queued }
+   */
+  function applyFilters(overrides, config) {
+    const plans = hookedClassPlans();
+    let detached = 0;
+    plans.forEach((plan) => {
+      detached += refilterPlan(plan, Object.assign({}, plan.filters || config.filters, overrides));
+    });
+
+    const queued = hookPlans(plans, config);
+    return { classes: plans.length, detached, queued };
+  }
+
+  /**
+   * Diffs the hooked classes against (re)normalized targets: classes no longer
+   * selected are unhooked, kept classes are re-filtered, new classes are hooked.
+   * Live hooks (hookMethod) and symbol imports are left untouched.
+   * @returns {Object} { classes, removed, detached, queued }
+   */
+  function syncTargets(targets, config) {
+    const wanted = new Map();
+    targets.forEach((target) => {
+      selectClasses(target, { quiet: true }).forEach(({ klass, assembly, via }) => {
+        const key = klass.handle.toString();
+        if (!wanted.has(key)) wanted.set(key, { klass, assembly, via, filters: target.filters });
+      });
+    });
+
+    let removed = 0;
+    let detached = 0;
+    const plans = [];
+    hookedClassPlans()
+      .filter((plan) => !plan.manual)
+      .forEach((plan) => {
+        const key = plan.klass.handle.toString();
+        const want = wanted.get(key);
+        if (!want) {
+          removed++;
+          detached += prunePlan(plan, null);
+          return;
+        }
+        wanted.delete(key);
+        plan.via = want.via;
+        detached += refilterPlan(plan, want.filters);
+        plans.push(plan);
+      });
+    wanted.forEach((want) => plans.push(createPlan(want.klass, want.assembly, want.via, want.filters)));
+
+    const queued = hookPlans(plans, config);
+    return { classes: plans.length, removed, detached, queued };
+  }
+
+  /**
+   * Re-installs active hooks whose stub rule changed (config reload)
+   * @returns {number} Number of hooks re-installed
+   */
+  function refreshStubs(config) {
+    let count = 0;
+    registry.forEach((entry) => {
+      if (!entry.listener || entry.method.__stateMachine) return;
+      // Rules are edited in place: recompile and compare by content
+      delete entry.method.__stub;
+      const stub = stubRuleFor(entry.method, entry.plan, config);
+      if ((stub ? stub.source : null) === (entry.stub ? entry.stub.source : null)) return;
+      detachHook(entry, false);
+      reattachHook(entry.id, config);
+      count++;
+    });
+    return count;
+  }
+
+  function setLoggingPaused(paused) {
+    loggingPaused = !!paused;
+  }
+
+  /**
+   * Installs Frida interceptors for several hook plans with rate limiting.
+   * A plan is { classFullName, methods, via? }; all plans share one queue and
+   * the session-wide maxHooks budget, and the summary is reported per class.
+   * Methods already in the hook registry are skipped.
+   * @returns {number} Number of methods queued
+   */
+  function hookPlans(plans, config) {
+    const ui = getUI();
+
+    if (!config.performance.enabled) {
+      ui.warn("Hooking disabled.");
+      return 0;
+    }
+
+    const queue = [];
+    const stats = new Map();
+    const queuedAddresses = new Set();
+    plans.forEach((plan) => {
+      const planStats = { hooked: 0, failed: 0, queued: 0 };
+      stats.set(plan, planStats);
+      plan.methods.forEach((method) => {
+        const addr = method.__hookAddress || safeVirtualAddress(method);
+        if (addr) {
+          const key = addr.toString();
+          if (registryByAddress.has(key) || queuedAddresses.has(key)) return;
+          queuedAddresses.add(key);
+        }
+        planStats.queued++;
+        queue.push({ plan, method });
+      });
+    });
+
+    let idx = 0;
+    let hooked = 0;
+    let failed = 0;
+
+    ui.info(`Hooking ${queue.length} methods...`);
+
+    const timer = setInterval(() => {
+      if (idx >= queue.length || installedHooks >= config.performance.maxHooks) {
+        clearInterval(timer);
+        if (idx < queue.length) {
+          ui.warn(`maxHooks (${config.performance.maxHooks}) reached, ${queue.length - idx} methods not hooked`);
+        }
+        if (plans.length > 1) {
+          plans.forEach((plan) => {
+            const s = stats.get(plan);
+            ui.hookSummary(s.hooked, s.failed, s.queued, plan.classFullName);
+          });
+        }
+        ui.hookSummary(hooked, failed, queue.length, null, quarantinedHooks());
+        return;
+      }
+
+      const { plan, method } = queue[idx++];
+      const planStats = stats.get(plan);
+      const sig = methodSignature(method);
+
+      try {
+        const addr = method.__hookAddress || safeVirtualAddress(method);
+        if (!addr) {
+          failed++;
+          planStats.failed++;
+          return;
+        }
+        // Hooked meanwhile by a concurrent batch (live hookMethod / setFilter)
+        if (registryByAddress.has(addr.toString())) return;
+        const installed = installHook(method, plan, addr, config);
+        registerHook(method, plan, addr, sig, installed.listener).stub = installed.stub;
+
+        installedHooks++;
         hooked++;
+        planStats.hooked++;
         ui.hookInstalled(sig);
       } catch (e) {
         failed++;
+        planStats.failed++;
         ui.hookFailed(sig, e.message);
       }
     }, config.performance.hookDelayMs);
+    return queue.length;
+  }
+
+  // Callback targets already followed (delegates.hookTargets), by address
+  const followedCallbacks = new Set();
+
+  /**
+   * Hooks the target methods of a call's delegate arguments (each once, up
+   * to delegates.maxTargets); hooks are installed by the regular queue
+   */
+  function followCallbacks(method, args, argStart, config) {
+    if (!method.__delegateParams) {
+      method.__delegateParams = method.parameters
+        .map((p, i) => (delegates.isDelegateType(p.type) ? i : -1))
+        .filter((i) => i !== -1);
+    }
+    method.__delegateParams.forEach((i) => {
+      delegates.targets(args[i + argStart]).forEach(({ method: target }) => {
+        if (!target || followedCallbacks.size >= config.delegates.maxTargets) return;
+        const addr = safeVirtualAddress(target);
+        if (!addr) return;
+        const key = addr.toString();
+        if (followedCallbacks.has(key) || registryByAddress.has(key)) return;
+        followedCallbacks.add(key);
+
+        target.__hookAddress = addr;
+        const classFullName = classFullNameOf(target.class);
+        getUI().info(`Following callback ${classFullName}.${target.name} (from ${method.name})`);
+        // Manual plan: kept across target reloads like live hooks
+        hookPlans([{ classFullName, methods: [target], manual: true }], config);
+      });
+    });
+  }
+
+  /**
+   * Installs Frida interceptors on specified methods with rate limiting
+   */
+  function hookMethods(_klass, classFullName, methods, config) {
+    hookPlans([{ classFullName, methods }], config);
   }
 
   // Export
   global.IL2CPPHooker = global.IL2CPPHooker || {};
   global.IL2CPPHooker.core = {
     normalizeTarget,
+    normalizeTargets,
+    describeTarget,
+    hasClassCriteria,
     classMatches,
+    selectClasses,
     selectClass,
+    watchTargets,
     listMethods,
+    methodSignature,
     buildHookList,
     hookMethods,
+    hookPlans,
     isAnalyzeMethod,
+    listHooks,
+    quarantinedHooks,
+    stubbedMethods,
+    refreshStubs,
+    hookMethod,
+    resolveMethod,
+    unhookMethod,
+    reattachHook,
+    createPlan,
+    applyFilters,
+    syncTargets,
+    setLoggingPaused,
   };
 })(globalThis);
@@ -0,0 +1,143 @@
+"use strict";
+
+/**
+ * Delegate decoding (Action, Func<>, UnityAction, events, custom delegates)
+ *
+ * Decoding (System.Delegate fields, read through the bridge):
+ * - method: MethodInfo* of the target method (resolved on the target
+ *   instance when method_is_virtual)
+ * - m_target: target instance, null for static methods
+ * - MulticastDelegate.delegates: invocation list of combined delegates / events
+ *
+ * Rendering: "Action → LoginView.OnLoginDone on LoginView@0x…",
+ * "static Helpers.Log", "[2] → A.Foo, B.Bar" for invocation lists.
+ * Target methods are also used to follow callbacks (delegates.hookTargets).
+ *
+ * @module delegates
+ */
+
+(function(global) {
+  const DELEGATE_CLASSES = ["System.Delegate", "System.MulticastDelegate"];
+  const MAX_SHOWN = 5;
+
+  // Delegate check per class handle
+  const delegateClassCache = new Map();
+
+  function classFullName(klass) {
+    return klass.namespace ? `${klass.namespace}.${klass.name}` : klass.name;
+  }
+
+  /**
+   * Checks if a class derives from System.Delegate
+   * @param {Il2Cpp.Class} klass - Class to check
+   * @returns {boolean} True for delegate types
+   */
+  function isDelegateClass(klass) {
+    if (!klass) return false;
+    const key = klass.handle.toString();
+    let result = delegateClassCache.get(key);
+    if (result === undefined) {
+      result = false;
+      try {
+        for (let parent = klass.parent; parent; parent = parent.parent) {
+          if (DELEGATE_CLASSES.includes(classFullName(parent))) {
+            result = true;
+            break;
+          }
+        }
+      } catch (_) {}
+      delegateClassCache.set(key, result);
+    }
+    return result;
+  }
+
+  /**
+   * Checks if a parameter / field type is a delegate type
+   */
+  function isDelegateType(type) {
+    try {
+      return !type.isByReference && isDelegateClass(type.class);
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Decodes one (non-combined) delegate
+   * @returns {Object} { method, target } (method: Il2Cpp.Method or null, target: Il2Cpp.Object or null)
+   */
+  function decodeSingle(obj) {
+    let method = null;
+    let target = null;
+    try {
+      const value = obj.tryField("m_target")?.value;
+      if (value && !value.isNull()) target = value;
+    } catch (_) {}
+    try {
+      const info = obj.tryField("method")?.value;
+      if (info && !info.isNull()) method = new Il2Cpp.Method(info);
+    } catch (_) {}
+    try {
+      // Virtual targets run the override of the instance's class
+      if (method && target && obj.tryField("method_is_virtual")?.value) {
+        method = target.tryMethod(method.name, method.parameterCount) || method;
+      }
+    } catch (_) {}
+    return { method, target };
+  }
+
+  /**
+   * Target methods of a delegate, one per invocation list entry
+   * @param {NativePointer|Il2Cpp.Object} value - Delegate object
+   * @returns {Array<Object>} { method, target } entries (empty for null / non-delegates)
+   */
+  function targets(value) {
+    if (!value || value.isNull()) return [];
+    try {
+      const obj = value instanceof Il2Cpp.Object ? value : new Il2Cpp.Object(value);
+      if (!isDelegateClass(obj.class)) return [];
+      const list = obj.tryField("delegates")?.value;
+      if (list && !list.isNull() && list.length > 0) {
+        const entries = [];
+        for (let i = 0; i < list.length; i++) {
+          entries.push(decodeSingle(list.get(i)));
+        }
+        return entries;
+      }
+      return [decodeSingle(obj)];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function describeEntry(entry) {
+    if (!entry.method) return "<unknown method>";
+    const name = `${classFullName(entry.method.class)}.${entry.method.name}`;
+    if (entry.method.isStatic || !entry.target) return `static ${name}`;
+    return `${name} on ${classFullName(entry.target.class)}@${entry.target.handle}`;
+  }
+
+  /**
+   * Renders a delegate as its target method(s)
+   * @param {Il2Cpp.Object} obj - Delegate object
+   * @param {string} typeName - Delegate type name
+   * @returns {string} Description
+   */
+  function describe(obj, typeName) {
+    const entries = targets(obj);
+    if (entries.length === 0) return `${typeName}@${obj.handle}`;
+    if (entries.length === 1) return `${typeName} → ${describeEntry(entries[0])}`;
+    const shown = entries.slice(0, MAX_SHOWN).map(describeEntry);
+    const more = entries.length > MAX_SHOWN ? `, +${entries.length - MAX_SHOWN} more` : "";
+    return `${typeName} [${entries.length}] → ${shown.join(", ")}${more}`;
+  }
+
+  // Export to global scope
+  global.IL2CPPHooker = global.IL2CPPHooker || {};
+  global.IL2CPPHooker.delegates = {
+    isDelegateClass,
+    isDelegateType,
+    targets,
+    describe,
+  };
+})(globalThis);
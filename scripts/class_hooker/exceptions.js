@@ -0,0 +1,217 @@
+"use strict";
+
+/**
+ * Managed exception tracing
+ *
+ * Interception:
+ * - IL2CPP raises managed exceptions as C++ exceptions wrapping the
+ *   Il2CppException (__cxa_throw, _CxxThrowException on Windows)
+ * - Only the throw function of the IL2CPP module is used (its export, or
+ *   the import it resolves to); other C++ throws through the same function
+ *   are told apart by checking the thrown object before reading it
+ * - The wrapped object is read when it is a System.Exception: type,
+ *   message and stack trace string (when already captured)
+ *
+ * Correlation:
+ * - Attached to the innermost active hooked call of the throwing thread
+ * - Global mode (exceptions.global) also logs exceptions thrown outside of
+ *   hooked calls, with the nearest managed method of the throw site
+ * - Re-throws of the same exception within the same call are reported once
+ *
+ * @module exceptions
+ */
+
+(function(global) {
+  const threads = global.IL2CPPHooker.threads;
+
+  function getUI() {
+    return global.IL2CPPHooker.ui;
+  }
+
+  const THROW_FUNCTIONS = ["__cxa_throw", "_CxxThrowException"];
+  const MAX_STACK_LINES = 8;
+
+  let config = null;
+  let listener = null;
+  let exceptionClass = null;
+  // Last reported exception per thread: "exception@frame"
+  const lastReported = new Map();
+  // Managed method start addresses, sorted (global mode throw sites)
+  let methodIndex = null;
+
+  /**
+   * Finds the C++ throw entry point used by the IL2CPP module
+   * @returns {NativePointer|null} Address or null
+   */
+  function findThrowFunction() {
+    for (const name of THROW_FUNCTIONS) {
+      try {
+        const address = Il2Cpp.module.findExportByName(name);
+        if (address) return address;
+      } catch (_) {}
+      try {
+        // Shared C++ runtime (libc++_shared, vcruntime): the import il2cpp calls
+        const imported = Il2Cpp.module.enumerateImports().find((i) => i.name === name && i.address);
+        if (imported) return imported.address;
+      } catch (_) {}
+    }
+    return null;
+  }
+
+  function isMapped(address) {
+    return !address.isNull() && Process.findRangeByAddress(address) !== null;
+  }
+
+  /**
+   * Indexes managed method addresses to name throw sites (global mode)
+   */
+  function buildMethodIndex() {
+    const entries = [];
+    Il2Cpp.domain.assemblies.forEach((assembly) => {
+      try {
+        assembly.image.classes.forEach((klass) => {
+          const className = klass.namespace ? `${klass.namespace}.${klass.name}` : klass.name;
+          klass.methods.forEach((method) => {
+            try {
+              const address = method.virtualAddress;
+              if (!address.isNull()) entries.push({ address, name: `${className}.${method.name}` });
+            } catch (_) {}
+          });
+        });
+      } catch (_) {}
+    });
+    entries.sort((a, b) => a.address.compare(b.address));
+    return entries;
+  }
+
+  /**
+   * Nearest managed method starting at or below an address
+   * @returns {string|null} "Class.Method" or null outside of managed code
+   */
+  function methodAt(address) {
+    if (!methodIndex || methodIndex.length === 0) return null;
+    // Runtime code (libil2cpp) is linked outside of the generated methods range
+    const last = methodIndex[methodIndex.length - 1];
+    if (address.compare(methodIndex[0].address) < 0 || address.compare(last.address.add(0x10000)) > 0) {
+      return null;
+    }
+    let lo = 0;
+    let hi = methodIndex.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (methodIndex[mid].address.compare(address) <= 0) lo = mid;
+      else hi = mid - 1;
+    }
+    return methodIndex[lo].name;
+  }
+
+  /**
+   * Name of the managed method that threw, from the native backtrace
+   */
+  function throwSite(context) {
+    try {
+      const frames = Thread.backtrace(context, Backtracer.FUZZY);
+      for (const address of frames) {
+        const name = methodAt(address);
+        if (name) return name;
+      }
+    } catch (_) {}
+    return null;
+  }
+
+  function readString(obj, fieldName) {
+    try {
+      const value = obj.tryField(fieldName)?.value;
+      if (value && !value.isNull()) return value.content;
+    } catch (_) {}
+    return null;
+  }
+
+  /**
+   * Reads the managed exception wrapped by a C++ throw
+   * @param {NativePointer} thrown - Thrown C++ object (Il2CppExceptionWrapper*)
+   * @returns {Object|null} { handle, type, message, stackTrace } or null
+   */
+  function readException(thrown) {
+    try {
+      // Non-managed C++ throws: the first word is not an object with a class
+      if (!isMapped(thrown)) return null;
+      const handle = thrown.readPointer();
+      if (!isMapped(handle) || !isMapped(handle.readPointer())) return null;
+      const obj = new Il2Cpp.Object(handle);
+      const klass = obj.class;
+      if (!exceptionClass) exceptionClass = Il2Cpp.corlib.class("System.Exception");
+      if (!exceptionClass.isAssignableFrom(klass)) return null;
+      return {
+        handle,
+        type: klass.namespace ? `${klass.namespace}.${klass.name}` : klass.name,
+        message: readString(obj, "_message"),
+        stackTrace: readString(obj, "_stackTraceString") || readString(obj, "_remoteStackTraceString"),
+      };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function onThrow(thrown, context) {
+    const cfg = config.exceptions;
+    if (!cfg?.enabled) return;
+    const tid = Process.getCurrentThreadId();
+    // Frames of calls the exception already unwound are dropped here too
+    const frame = threads.current(tid, context.sp);
+    if (!frame && !cfg.global) return;
+
+    const exception = readException(thrown);
+    if (!exception) return;
+    const key = `${exception.handle}@${frame ? frame.id : 0}`;
+    if (lastReported.get(tid) === key) return;
+    lastReported.set(tid, key);
+
+    const stack = cfg.stackTrace && exception.stackTrace
+      ? exception.stackTrace.split("\n").map((line) => line.trim()).filter(Boolean).slice(0, MAX_STACK_LINES)
+      : [];
+    getUI().managedException({
+      type: exception.type,
+      message: exception.message,
+      stack,
+      frame,
+      site: frame ? null : throwSite(context),
+      thread: threads.threadLabel(tid),
+    });
+  }
+
+  /**
+   * Starts tracing when CONFIG.exceptions.enabled (call from an attached
+   * thread; later calls apply config changes and attach if still needed)
+   * @param {Object} cfg - Normalized CONFIG
+   * @returns {boolean} True when the throw function is intercepted
+   */
+  function init(cfg) {
+    config = cfg;
+    if (!cfg.exceptions?.enabled) return listener !== null;
+    if (cfg.exceptions.global && !methodIndex) methodIndex = buildMethodIndex();
+    if (listener) return true;
+
+    const address = findThrowFunction();
+    if (!address) {
+      getUI().warn("Exception tracing unavailable: no __cxa_throw / _CxxThrowException in the IL2CPP module");
+      return false;
+    }
+    listener = Interceptor.attach(address, {
+      onEnter(args) {
+        // Never let tracing break the throw itself
+        try {
+          onThrow(args[0], this.context);
+        } catch (_) {}
+      },
+    });
+    return true;
+  }
+
+  // Export to global scope
+  global.IL2CPPHooker = global.IL2CPPHooker || {};
+  global.IL2CPPHooker.exceptions = {
+    init,
+    readException,
+  };
+})(globalThis);
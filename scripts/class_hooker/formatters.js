@@ -7,6 +7,7 @@
 
 (function(global) {
   const utils = global.IL2CPPHooker.utils;
+  const delegates = global.IL2CPPHooker.delegates;
 
   let cachedPreviewConfig = null;
   let cachedPreviewOptions = null;
@@ -212,10 +213,21 @@
       fieldAllowlistByType: config.formatting.objects.fieldAllowlistByType || {},
       fieldDenylistByType: config.formatting.objects.fieldDenylistByType || {},
       numbers: config.formatting.numbers || {},
+      decodeDelegates: !!config.delegates?.decode,
+      depth: config.formatting.objects.depth || 0,
+      nestedMaxFields: config.formatting.objects.nestedMaxFields,
     };
     return cachedPreviewOptions;
   }
 
+  /**
+   * Drops the cached preview options (config changed in place)
+   */
+  function clearPreviewCache() {
+    cachedPreviewConfig = null;
+    cachedPreviewOptions = null;
+  }
+
   function isBufferFieldName(fieldName) {
     if (!fieldName) return false;
     const lower = fieldName.toLowerCase();
@@ -306,6 +318,72 @@
     return `${typeName}@${ptr} (ref)`;
   }
 
+  // By-ref slot readers for primitive element types
+  const BYREF_READERS = {
+    SByte: "readS8",
+    Byte: "readU8",
+    Int16: "readS16",
+    UInt16: "readU16",
+    Char: "readU16",
+    Int32: "readS32",
+    UInt32: "readU32",
+    Single: "readFloat",
+    Double: "readDouble",
+  };
+
+  // Pointer-sized value types, read as a pointer like references
+  const BYREF_POINTER_SIZED = ["Int64", "UInt64", "IntPtr", "UIntPtr"];
+
+  /**
+   * Reads a by-ref enum with the reader of its underlying type (byte, short, int, long)
+   * @returns {NativePointer} Value as a pointer, the way enum arguments arrive
+   */
+  function readEnumSlot(refPtr, klass) {
+    const baseName = normalizeTypeName(klass.baseType ? klass.baseType.name : "Int32");
+    if (BYREF_POINTER_SIZED.includes(baseName)) return refPtr.readPointer();
+    const n = refPtr[BYREF_READERS[baseName] || "readS32"]();
+    // Negative numbers wrap to two's complement (formatted from the low bits)
+    return n < 0 ? ptr(0).sub(-n) : ptr(n);
+  }
+
+  /**
+   * Formats the value currently stored behind a by-ref argument (out / ref)
+   * @param {NativePointer} refPtr - Argument pointer captured in onEnter
+   * @param {Il2Cpp.Type} type - By-ref parameter type ("T&")
+   * @returns {string} Formatted element value
+   */
+  function formatByRefResult(refPtr, type, maxStrLen, config) {
+    if (!refPtr || refPtr.isNull()) return "null";
+    const elementName = type.name.replace(/&$/, "");
+    const baseName = normalizeTypeName(elementName);
+    try {
+      const elementType = type.class.type;
+      const klass = elementType.class;
+      let value;
+      if (klass.isEnum) {
+        value = readEnumSlot(refPtr, klass);
+      } else if (baseName === "Boolean") {
+        value = refPtr.readU8() !== 0;
+      } else if (BYREF_READERS[baseName]) {
+        value = refPtr[BYREF_READERS[baseName]]();
+      } else if (klass.isValueType && !BYREF_POINTER_SIZED.includes(baseName)) {
+        return `${elementName}@${refPtr} (struct)`;
+      } else {
+        value = refPtr.readPointer();
+      }
+      return formatValue({
+        value,
+        typeName: elementName,
+        type: elementType,
+        maxStrLen,
+        config,
+        context: "return",
+      });
+    } catch (_) {
+      return `${elementName}@${refPtr}`;
+    }
+  }
+
   function shouldIncludeField(classInfo, fieldName, opts) {
     if (!fieldName) return false;
     const fullName = classInfo?.fullName || "";
@@ -417,7 +495,7 @@
     }
 
     if (ctx === "field") {
-      const summary = tryGetCollectionSummary(value, opts);
+      const summary = tryGetCollectionSummary(value, opts) || describeDelegate(value, opts);
       if (summary) return summary;
       return safeValueToString(value, 100);
     }
@@ -425,6 +503,21 @@
     return previewObject(value, getPreviewOptions(config));
   }
 
+  /**
+   * Delegate rendered as its target method(s), or null for other objects
+   */
+  function describeDelegate(value, opts) {
+    if (!opts?.decodeDelegates) return null;
+    try {
+      const obj = value instanceof Il2Cpp.Object ? value : new Il2Cpp.Object(value);
+      const klass = obj.class;
+      if (!delegates.isDelegateClass(klass)) return null;
+      return delegates.describe(obj, klass.type.name);
+    } catch (_) {
+      return null;
+    }
+  }
+
   function summarizeFieldValue(value, typeName, opts) {
     const options = opts || {};
     return formatValue({
@@ -449,6 +542,71 @@
     }
   }
 
+  /**
+   * Label of an object already being expanded higher up: <cycle Class#N>
+   * (instance id when one was assigned, pointer otherwise)
+   */
+  function cycleLabel(classInfo, ptr) {
+    const id = global.IL2CPPHooker.ui?.instanceIdOf(ptr);
+    return `<cycle ${classInfo.name}${id ? `#${id}` : `@${ptr}`}>`;
+  }
+
+  /**
+   * Field tree of a managed object. Nested objects are expanded while
+   * level < opts.depth (opts.nestedMaxFields fields each); objects on the
+   * current path are cut as cycles.
+   * @param {NativePointer} ptr - Object pointer
+   * @param {Object} opts - Preview options
+   * @param {number} level - Nesting level of the object (0 = root)
+   * @param {Set<string>} path - Pointers of the objects being expanded
+   * @returns {Object|null} { value, fields, truncated }, null for strings
+   */
+  function objectTree(ptr, opts, level, path) {
+    const obj = new Il2Cpp.Object(ptr);
+    const classInfo = safeObjectClassInfo(obj);
+    if (!classInfo || utils.isStringType(classInfo.fullName)) return null;
+
+    // Collections and delegates keep their one-line summary
+    const summary = describeDelegate(obj, opts) || getCollectionSummary(obj, ptr, opts);
+    if (summary) return { value: summary, fields: [], truncated: false };
+
+    const key = ptr.toString();
+    if (path.has(key)) return { value: cycleLabel(classInfo, key), fields: [], truncated: false };
+    path.add(key);
+    try {
+      const result = collectObjectFields(obj, classInfo, opts, {
+        maxFields: level === 0 ? opts.maxObjectFields : opts.nestedMaxFields,
+        includeStatic: false,
+        applyFilters: true,
+        nesting: { level, path, opts },
+      });
+      return { value: `${classInfo.fullName}@${ptr}`, fields: result.fields, truncated: result.truncated };
+    } finally {
+      path.delete(key);
+    }
+  }
+
+  /**
+   * Expands a field value holding a managed object, when the nesting allows it
+   * @returns {Object|null} { value, fields, truncated } or null to summarize
+   */
+  function expandNested(value, typeName, nesting) {
+    if (!nesting || nesting.level >= nesting.opts.depth) return null;
+    if (!(value instanceof Il2Cpp.Object) || value.isNull()) return null;
+    if (utils.isStringType(typeName) || isArrayType(typeName)) return null;
+    return objectTree(value.handle, nesting.opts, nesting.level + 1, nesting.path);
+  }
+
+  /**
+   * Renders a field tree on one line: {a=1, b=Inner@0x… {c=2}}
+   */
+  function inlineFields(fields) {
+    return `{${fields.map((f) => {
+      const nested = f.fields && f.fields.length > 0 ? ` ${inlineFields(f.fields)}` : "";
+      return `${f.name}=${f.value}${nested}`;
+    }).join(", ")}}`;
+  }
+
   function collectObjectFields(obj, classInfo, opts, options) {
     const fields = [];
     let truncated = false;
@@ -456,6 +614,8 @@
     const maxFields = options?.maxFields ?? 0;
     const includeStatic = options?.includeStatic ?? false;
     const applyFilters = options?.applyFilters ?? false;
+    // { level, path, opts }: nested object expansion (see objectTree)
+    const nesting = options?.nesting ?? null;
 
     for (const field of obj.class.fields) {
       if (!includeStatic && field.isStatic) continue;
@@ -490,6 +650,12 @@
 
       try {
         const value = obj.field(field.name).value;
+        const nested = expandNested(value, typeName, nesting);
+        if (nested) {
+          fields.push(Object.assign({ name: field.name }, nested));
+          printed++;
+          continue;
+        }
         const summary = summarizeFieldValue(value, typeName, opts);
         fields.push({ name: field.name, value: summary });
         printed++;
@@ -519,6 +685,10 @@
       return `${classInfo.fullName}@${ptr} ${strVal}`;
     }
 
+    // Delegates: target method and instance instead of the delegate fields
+    const delegateSummary = describeDelegate(obj, opts);
+    if (delegateSummary) return delegateSummary;
+
     // Handle collection types
     const collectionSummary = getCollectionSummary(obj, ptr, opts);
     if (collectionSummary) return collectionSummary;
@@ -534,25 +704,48 @@
         : `${classInfo.fullName}@${ptr}`;
     }
 
-    // Build field preview
+    // Build field preview (nested objects up to opts.depth levels)
     let fields = [];
     try {
       const result = collectObjectFields(obj, classInfo, opts, {
         maxFields: opts.maxObjectFields,
         includeStatic: false,
         applyFilters: true,
+        nesting: { level: 0, path: new Set([ptr.toString()]), opts },
       });
       fields = result.fields;
     } catch (_) {}
 
-    const preview = fields.length > 0
-      ? ` {${fields.map((f) => `${f.name}=${f.value}`).join(", ")}}`
-      : "";
+    const preview = fields.length > 0 ? ` ${inlineFields(fields)}` : "";
     return toStringValue
       ? `${classInfo.fullName}@${ptr} "${toStringValue}"${preview}`
       : `${classInfo.fullName}@${ptr}${preview}`;
   }
 
+  /**
+   * Object argument as a field tree for indented rendering, when
+   * formatting.objects.depth expands nested objects
+   * @returns {Object|null} { value, fields, truncated }, null to use formatArg
+   */
+  function previewTree(argPtr, typeName, type, config) {
+    const opts = getPreviewOptions(config);
+    if (!opts.depth || !opts.previewObjects || !argPtr || argPtr.isNull()) return null;
+    if (utils.isStringType(typeName) || isArrayType(typeName) || isPrimitiveName(normalizeTypeName(typeName))) {
+      return null;
+    }
+    try {
+      // Structs and enums are passed by value
+      if (type && type.class.isValueType) return null;
+      const tree = objectTree(argPtr, opts, 0, new Set());
+      if (!tree || tree.fields.length === 0) return null;
+      const toStringValue = opts.tryToString ? utils.tryObjectToString(argPtr, opts.maxStringLength) : null;
+      if (toStringValue) tree.value = `${tree.value} "${toStringValue}"`;
+      return tree;
+    } catch (_) {
+      return null;
+    }
+  }
+
   function formatArg(argPtr, typeName, maxStrLen, config, type) {
     if (!argPtr) return "null";
     return formatValue({
@@ -617,7 +810,11 @@
     return true;
   }
 
-  function dumpObjectFields(ptr, typeName, opts) {
+  /**
+   * Dumps an object's fields as a block; with a config, nested objects are
+   * expanded like previews (formatting.objects.depth)
+   */
+  function dumpObjectFields(ptr, typeName, opts, config) {
     if (!ptr || ptr.isNull()) return;
     if (!canDumpPtr(ptr, typeName, opts)) return;
 
@@ -641,6 +838,7 @@
         maxFields: opts.maxFields,
         includeStatic: opts.includeStatic,
         applyFilters: false,
+        nesting: config ? { level: 0, path: new Set([ptr.toString()]), opts: getPreviewOptions(config) } : null,
       });
       fields = result.fields;
       truncated = result.truncated;
@@ -661,13 +859,16 @@
   global.IL2CPPHooker.formatters = {
     summarizeFieldValue,
     previewObject,
+    previewTree,
     formatArg,
     formatArgRaw,
     formatReturn,
+    formatByRefResult,
     shouldDumpType,
     canDumpPtr,
     dumpObjectFields,
     clearDumpState,
     getPreviewOptions,
+    clearPreviewCache,
   };
 })(globalThis);
@@ -0,0 +1,210 @@
+"use strict";
+
+/**
+ * Generic method and class instantiation support
+ *
+ * Discovery:
+ * - Explicit type arguments per generic method (filters.genericArgs)
+ * - Inflated instances of generic target classes initialized at runtime
+ *   (filters.genericInstances, via an IL2CPP memory snapshot)
+ *
+ * Labelling:
+ * - Calls are labelled with their type arguments: Deserialize<PlayerData>
+ * - Instantiations sharing one native body (reference types compile to
+ *   __Canon code) are told apart by the hidden trailing MethodInfo* argument
+ *
+ * @module generics
+ */
+
+(function(global) {
+  const { TYPE_ALIASES } = global.IL2CPPHooker;
+
+  // Resolved generic argument classes by configured name
+  const classCache = new Map();
+
+  /**
+   * Get UI module reference
+   * @returns {Object} UI module
+   */
+  function getUI() {
+    return global.IL2CPPHooker.ui;
+  }
+
+  /**
+   * Strips namespaces from a type name: "System.Collections.Generic.List<System.String>" → "List<String>"
+   */
+  function shortTypeName(name) {
+    return String(name).replace(/(?:[A-Za-z_][\w`]*\.)+/g, "");
+  }
+
+  function isOpenGenericMethod(method) {
+    try {
+      return method.isGeneric && !method.isInflated;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function isOpenGenericClass(klass) {
+    try {
+      return klass.isGeneric && !klass.isInflated;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function findClass(name) {
+    if (name.endsWith("[]")) {
+      const element = resolveClass(name.slice(0, -2));
+      return element ? element.arrayClass : null;
+    }
+
+    const fullName = TYPE_ALIASES[name] || name;
+    const assemblies = Il2Cpp.domain.assemblies;
+    if (fullName.includes(".")) {
+      for (const assembly of assemblies) {
+        try {
+          const klass = assembly.image.tryClass(fullName);
+          if (klass) return klass;
+        } catch (_) {}
+      }
+    }
+
+    // Short names: corlib first ("String", "Int32"), then every image
+    try {
+      const klass = Il2Cpp.corlib.tryClass(`System.${fullName}`);
+      if (klass) return klass;
+    } catch (_) {}
+    for (const assembly of assemblies) {
+      try {
+        const klass = assembly.image.classes.find((c) => c.name === fullName);
+        if (klass) return klass;
+      } catch (_) {}
+    }
+    return null;
+  }
+
+  /**
+   * Resolves a configured type argument name to a class (cached)
+   * @param {string} name - Full name, short name, C# alias or "T[]"
+   * @returns {Il2Cpp.Class|null} Class or null when not found
+   */
+  function resolveClass(name) {
+    const key = String(name).trim();
+    if (!classCache.has(key)) {
+      classCache.set(key, findClass(key));
+    }
+    return classCache.get(key);
+  }
+
+  /**
+   * Inflates a generic method definition with the type arguments configured
+   * for its name. Entries are one instantiation each: "PlayerData" or ["String", "Int32"].
+   * @returns {Array<Il2Cpp.Method>} Inflated methods labelled via __hookLabel
+   */
+  function explicitInstances(method, genericArgs) {
+    const entries = genericArgs ? genericArgs[method.name] : null;
+    if (!entries) return [];
+
+    const ui = getUI();
+    const instances = [];
+    (Array.isArray(entries) ? entries : [entries]).forEach((entry) => {
+      const names = Array.isArray(entry) ? entry : [entry];
+      const classes = names.map(resolveClass);
+      const missing = names.filter((_, i) => !classes[i]);
+      if (missing.length > 0) {
+        ui.warn(`Generic argument not found for ${method.name}: ${missing.join(", ")}`);
+        return;
+      }
+      try {
+        const inflated = method.inflate(...classes);
+        inflated.__hookLabel = `${method.name}<${classes.map((c) => shortTypeName(c.type.name)).join(", ")}>`;
+        instances.push(inflated);
+      } catch (e) {
+        ui.warn(`Cannot inflate ${method.name}<${names.join(", ")}>: ${e.message}`);
+      }
+    });
+    return instances;
+  }
+
+  /**
+   * Lists the inflated instances of a generic class initialized at runtime
+   * (e.g. Cache<PlayerData> for Cache`1). Instances created later are not seen.
+   * @returns {Array<Il2Cpp.Class>} Inflated classes
+   */
+  function inflatedClasses(klass) {
+    try {
+      return Il2Cpp.memorySnapshot((snapshot) =>
+        snapshot.classes.filter((c) => {
+          try {
+            if (!c.isInflated) return false;
+            const definition = c.genericClass;
+            return !!definition && definition.handle.equals(klass.handle);
+          } catch (_) {
+            return false;
+          }
+        })
+      );
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Display name of an inflated class: "Cache<PlayerData>"
+   */
+  function classLabel(klass) {
+    try {
+      return shortTypeName(klass.type.name);
+    } catch (_) {
+      return klass.name;
+    }
+  }
+
+  /**
+   * Registers an instantiation sharing the native body of an already selected one.
+   * The hooked method keeps a MethodInfo* → label map for per-call resolution.
+   */
+  function addSharedVariant(hooked, method) {
+    if (!hooked.__genericVariants) {
+      hooked.__genericVariants = new Map();
+      hooked.__genericVariants.set(hooked.handle.toString(), {
+        label: hooked.__hookLabel || hooked.name,
+        className: hooked.__hookClass || null,
+      });
+    }
+    hooked.__genericVariants.set(method.handle.toString(), {
+      label: method.__hookLabel || method.name,
+      className: method.__hookClass || null,
+    });
+  }
+
+  /**
+   * Resolves the instantiation of a shared-code call from the hidden MethodInfo* argument
+   * @returns {Object|null} { label, className } or null when not a shared generic
+   */
+  function resolveVariant(method, args, argStart) {
+    const variants = method.__genericVariants;
+    if (!variants) return null;
+    try {
+      const info = args[argStart + method.parameters.length];
+      return variants.get(info.toString()) || null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Export to global scope
+  global.IL2CPPHooker = global.IL2CPPHooker || {};
+  global.IL2CPPHooker.generics = {
+    shortTypeName,
+    isOpenGenericMethod,
+    isOpenGenericClass,
+    resolveClass,
+    explicitInstances,
+    inflatedClasses,
+    classLabel,
+    addSharedVariant,
+    resolveVariant,
+  };
+})(globalThis);
@@ -8,10 +8,24 @@
  *
  * Features:
  * - Flexible class/method targeting (assembly, namespace, class name, regex filters)
+ * - Multiple target classes per session with a shared hook budget
+ * - Generic method and class instantiations labelled per call (Deserialize<PlayerData>)
+ * - RVA-based targets imported from Il2CppDumper / Cpp2IL output
  * - Intelligent type handling (String, Dictionary, List, Multimap, custom objects)
  * - Rate-limited hook installation for stability (300 max hooks, 25ms delay)
  * - Configurable logging (args, return values, stack traces, object field preview)
  * - HTTP request/response analysis support
+ * - Per-method call latency profiling (p50 / p95 table)
+ * - Call-tree output with per-thread nesting
+ * - Conditional logging with argument predicates
+ * - Sampling and per-method rate limits for hot methods
+ * - Return value and argument overrides (patch)
+ * - Method stubs replacing the real code (stub)
+ * - On-demand invocation of managed methods from the host (rpc invoke)
+ * - Managed exception tracing correlated with hooked calls
+ * - Async / iterator state machine tracking (filters.stateMachines)
+ * - Delegate decoding and callback following (delegates.hookTargets)
+ * - Runtime control over rpc.exports (hook / unhook / re-filter without detaching)
  * - Modern UI output with colors, box-drawing, and structured formatting
  *
  * @module index
@@ -21,7 +35,7 @@
   const hooker = global.IL2CPPHooker;
 
   // Validate all required modules are loaded
-  const required = ['CONFIG', 'core', 'utils', 'formatters', 'ui'];
+  const required = ['CONFIG', 'generics', 'profiler', 'threads', 'exceptions', 'conditions', 'sampling', 'patches', 'statemachines', 'core', 'symbols', 'invoke', 'rpc', 'utils', 'delegates', 'formatters', 'ui'];
   const missing = required.filter(m => !hooker || !hooker[m]);
 
   if (missing.length > 0) {
@@ -31,13 +45,25 @@
     console.log('  1. constants.js');
     console.log('  2. config.js');
     console.log('  3. utils.js');
-    console.log('  4. formatters.js');
-    console.log('  5. http-analysis.js');
-    console.log('  6. ui/colors.js');
-    console.log('  7. ui/box.js');
-    console.log('  8. ui/index.js');
-    console.log('  9. core.js');
-    console.log(' 10. index.js');
+    console.log('  4. delegates.js');
+    console.log('  5. formatters.js');
+    console.log('  6. http-analysis.js');
+    console.log('  7. ui/colors.js');
+    console.log('  8. ui/box.js');
+    console.log('  9. ui/index.js');
+    console.log(' 10. generics.js');
+    console.log(' 11. profiler.js');
+    console.log(' 12. threads.js');
+    console.log(' 13. exceptions.js');
+    console.log(' 14. conditions.js');
+    console.log(' 15. sampling.js');
+    console.log(' 16. patches.js');
+    console.log(' 17. statemachines.js');
+    console.log(' 18. core.js');
+    console.log(' 19. symbols.js');
+    console.log(' 20. invoke.js');
+    console.log(' 21. rpc.js');
+    console.log(' 22. index.js');
     return;
   }
 
@@ -45,8 +71,66 @@
     ? hooker.normalizeConfig(hooker.CONFIG)
     : hooker.CONFIG;
   const core = hooker.core;
+  const symbols = hooker.symbols;
   const ui = hooker.ui;
 
+  // Set once main() has run (late Frida parameters are applied immediately)
+  let started = false;
+
+  /**
+   * Builds hook plans for the classes chosen for one target
+   */
+  function buildPlans(target, chosen) {
+    return chosen.map(({ klass, assembly, via }) => core.createPlan(klass, assembly, via, target.filters));
+  }
+
+  /**
+   * Displays banner and method listings, then installs hooks for the plans
+   */
+  function installPlans(plans) {
+    ui.banner({
+      targets: plans.map((plan) => ({
+        target: plan.classFullName,
+        assembly: plan.assembly.name,
+        methodCount: plan.methods.length,
+        stubs: core.stubbedMethods(plan, CONFIG),
+      })),
+    });
+
+    plans.forEach((plan) => {
+      if (plan.klass) {
+        core.listMethods(plan.klass);
+      } else {
+        symbols.listPlan(plan);
+      }
+      ui.info(`Selected ${plan.methods.length} methods to hook in ${plan.classFullName}`);
+    });
+
+    // Shared maxHooks budget
+    core.hookPlans(plans, CONFIG);
+  }
+
+  /**
+   * Resolves the symbol import source from Frida parameters or config
+   * @returns {Object|null} Symbol source options
+   */
+  function symbolSource(params) {
+    const fromParams = params?.symbols;
+    if (fromParams) {
+      const overrides = typeof fromParams === "string" ? { path: fromParams } : fromParams;
+      return Object.assign({}, CONFIG.symbols, overrides, { enabled: true });
+    }
+    return CONFIG.symbols?.enabled ? CONFIG.symbols : null;
+  }
+
+  /**
+   * Hooks the methods selected from an imported symbol file
+   */
+  function installSymbols(source) {
+    const plans = symbols.buildPlans(source);
+    if (plans.length > 0) installPlans(plans);
+  }
+
   /**
    * Main execution function
    */
@@ -60,45 +144,71 @@
 
     // Initialize UI module
     ui.init(CONFIG.ui);
-
-    // Normalize and validate target configuration
-    const target = core.normalizeTarget(CONFIG.target);
-    if (!target.className) {
-      ui.error("Please set target.className or target.fullName in config.js");
+    hooker.threads.init();
+    hooker.exceptions.init(CONFIG);
+
+    // Normalize target configuration (single descriptor or array)
+    const source = symbolSource(hooker.params);
+    const allTargets = core.normalizeTargets(CONFIG.target, CONFIG.filters);
+    const targets = allTargets.filter((target) => core.hasClassCriteria(target));
+    if (targets.length === 0 && !source) {
+      ui.error("Please set target.className, target.fullName, target.classRegex or target.derivesFrom in config.js");
       return;
     }
-
-    // Select target class
-    const chosen = core.selectClass(target);
-    if (!chosen) {
-      ui.error("Class selection failed. Check configuration and try again.");
-      return;
+    if (targets.length < allTargets.length && allTargets.length > 1) {
+      ui.warn(`Ignoring ${allTargets.length - targets.length} target(s) without className, classRegex or derivesFrom`);
     }
 
-    const klass = chosen.klass;
-    const classFullName = klass.namespace
-      ? `${klass.namespace}.${klass.name}`
-      : klass.name;
+    // Select target classes and build their hook lists
+    const deferred = CONFIG.deferred?.enabled;
+    const plans = [];
+    const pending = [];
+    targets.forEach((target) => {
+      const chosen = core.selectClasses(target, { quiet: deferred });
+      if (chosen.length === 0) {
+        if (deferred) {
+          pending.push(target);
+        } else {
+          ui.error(`Class selection failed for ${core.describeTarget(target)}.`);
+        }
+        return;
+      }
+
+      buildPlans(target, chosen).forEach((plan) => plans.push(plan));
+    });
 
-    // Build hook list based on filters
-    const methodsToHook = core.buildHookList(klass, CONFIG.filters);
+    started = true;
 
-    // Display banner
-    ui.banner({
-      target: classFullName,
-      assembly: chosen.assembly.name,
-      methodCount: methodsToHook.length,
-    });
+    if (plans.length === 0 && pending.length === 0 && !source) {
+      ui.error("Class selection failed. Check configuration and try again.");
+      return;
+    }
 
-    // List all methods
-    core.listMethods(klass);
+    if (plans.length > 0) {
+      installPlans(plans);
+    }
 
-    ui.info(`Selected ${methodsToHook.length} methods to hook`);
+    // RVA-based targets from static analysis output
+    if (source) {
+      installSymbols(source);
+    }
 
-    // Install hooks
-    core.hookMethods(klass, classFullName, methodsToHook, CONFIG);
+    // Install hooks for late targets as soon as they load
+    if (pending.length > 0) {
+      core.watchTargets(pending, CONFIG.deferred, (target, chosen) => {
+        installPlans(buildPlans(target, chosen));
+      });
+    }
   }
 
+  // Frida parameters (frida -P '{...}') are delivered through rpc.exports.init
+  rpc.exports.init = function(_stage, parameters) {
+    hooker.params = parameters || {};
+    if (started && hooker.params.symbols) {
+      Il2Cpp.perform(() => installSymbols(symbolSource(hooker.params)));
+    }
+  };
+
   // Execute when IL2CPP is ready
   Il2Cpp.perform(() => {
     try {
@@ -0,0 +1,210 @@
+"use strict";
+
+/**
+ * On-demand invocation of managed methods (rpc.exports.invoke)
+ *
+ * Resolution:
+ * - Class resolved like hookMethod (full name or target descriptor)
+ * - Method by name and argument count, or by overload ("Login(String, String)")
+ * - Instance methods run on a live object: Class#N (as shown in call lines) or an address
+ *
+ * Arguments (marshalled from JSON by parameter type):
+ * - booleans, numbers (integers, floats, enums; enum members by name), 1-char strings for Char
+ * - strings (new System.String), null
+ * - objects: "Class#N", "0x..." or { ptr: "0x..." }
+ *
+ * Calls run on the Unity main thread by default (thread: "main"), on a given
+ * attached thread id, or on the calling RPC thread (thread: "current").
+ * The result is rendered with formatters.formatReturn.
+ *
+ * @module invoke
+ */
+
+(function(global) {
+  const hooker = global.IL2CPPHooker;
+  const core = hooker.core;
+  const formatters = hooker.formatters;
+  const utils = hooker.utils;
+
+  function getUI() {
+    return global.IL2CPPHooker.ui;
+  }
+
+  function baseTypeName(type) {
+    return type.name.replace(/^.*\./, "");
+  }
+
+  /**
+   * Resolves an object reference: "Class#N", "0x..." or { ptr }
+   * @returns {Il2Cpp.Object} Object
+   */
+  function resolveObject(ref) {
+    const address = ref && typeof ref === "object" ? ref.ptr : ref;
+    const match = typeof address === "string" ? address.match(/^(.*)#(\d+)$/) : null;
+    if (match) {
+      const handle = getUI().instanceById(Number(match[2]));
+      if (!handle) throw new Error(`Unknown instance ${address} (enable ui.instanceIds)`);
+      const obj = new Il2Cpp.Object(ptr(handle));
+      const name = obj.class.name;
+      if (match[1] && match[1] !== name && !match[1].endsWith(`.${name}`)) {
+        throw new Error(`${address} is a ${name}`);
+      }
+      return obj;
+    }
+    if (typeof address === "string" && /^0x[0-9a-f]+$/i.test(address)) {
+      const handle = ptr(address);
+      if (handle.isNull()) throw new Error("Null pointer");
+      return new Il2Cpp.Object(handle);
+    }
+    throw new Error(`Invalid object reference: ${JSON.stringify(ref)}`);
+  }
+
+  /**
+   * Converts a JSON argument to the value expected by Il2Cpp.Method.invoke
+   * @param {*} value - Argument from the host
+   * @param {Il2Cpp.Type} type - Parameter type
+   */
+  function marshal(value, type) {
+    const baseName = baseTypeName(type);
+    let klass = null;
+    try {
+      klass = type.class;
+    } catch (_) {}
+
+    if (klass && klass.isEnum) {
+      if (typeof value === "string") {
+        const field = klass.tryField(value);
+        if (!field) throw new Error(`${type.name} has no member ${value}`);
+        return field.value;
+      }
+      return Number(value);
+    }
+
+    switch (baseName) {
+      case "Boolean":
+        return !!value;
+      case "Char":
+        return typeof value === "string" ? value.charCodeAt(0) : Number(value);
+      case "Int64":
+        return int64(String(value));
+      case "UInt64":
+        return uint64(String(value));
+      case "SByte":
+      case "Byte":
+      case "Int16":
+      case "UInt16":
+      case "Int32":
+      case "UInt32":
+      case "Single":
+      case "Double":
+        if (typeof value !== "number") throw new Error(`expected a number for ${type.name}`);
+        return value;
+      case "IntPtr":
+      case "UIntPtr":
+        return ptr(String(value));
+      default:
+        break;
+    }
+
+    if (klass && klass.isValueType) throw new Error(`struct ${type.name} arguments are not supported`);
+    if (value === null) return NULL;
+    if (typeof value === "string") {
+      if (utils.isStringType(type.name)) return Il2Cpp.string(value);
+      // Plain text passed as object becomes a string too
+      const isReference = /#\d+$/.test(value) || /^0x[0-9a-f]+$/i.test(value);
+      if (type.name === "System.Object" && !isReference) return Il2Cpp.string(value);
+    }
+    return resolveObject(value);
+  }
+
+  /**
+   * Converts an invoke() result to the raw value formatReturn expects
+   */
+  function returnPointer(result) {
+    if (result === undefined || result === null) return NULL;
+    if (typeof result === "boolean") return ptr(result ? 1 : 0);
+    if (typeof result === "number") return result < 0 ? ptr(0).sub(-result) : ptr(result);
+    if (result instanceof NativePointer) return result;
+    if (result.handle instanceof NativePointer) return result.handle;
+    // Int64 / UInt64
+    const text = result.toString();
+    return text.startsWith("-") ? ptr(0).sub(uint64(text.slice(1))) : ptr(text);
+  }
+
+  /**
+   * Formats a result with the hook formatters (floats and structs as text)
+   */
+  function formatResult(result, method, config) {
+    const type = method.returnType;
+    const baseName = baseTypeName(type);
+    if (baseName === "Void") return "void";
+    if (baseName === "Single" || baseName === "Double") return String(result);
+    // Structs come back as Il2Cpp.ValueType (no object header to preview)
+    if (result instanceof Il2Cpp.ValueType) return String(result);
+    return formatters.formatReturn(returnPointer(result), type.name, config.formatting.strings.maxLength, config, type);
+  }
+
+  /**
+   * Runs a block on the requested thread
+   * @param {string|number} thread - "main" (default), "current" or a thread id
+   * @returns {Promise} Block result
+   */
+  function onThread(thread, block) {
+    if (thread === "current") return Promise.resolve().then(block);
+    if (thread === undefined || thread === null || thread === "main") {
+      return Il2Cpp.mainThread.schedule(block);
+    }
+    const target = Il2Cpp.attachedThreads.find((t) => t.id === Number(thread));
+    if (!target) throw new Error(`Thread ${thread} is not attached to the domain`);
+    return target.schedule(block);
+  }
+
+  /**
+   * Invokes a managed method
+   * @param {string|Object} classSpec - "Namespace.Class" or target descriptor
+   * @param {string} methodSpec - "Method" or "Method(Type, ...)"
+   * @param {Array} args - JSON arguments
+   * @param {Object} options - { instance: "Class#N" | "0x...", thread: "main" | "current" | id }
+   * @param {Object} config - Normalized CONFIG
+   * @returns {Promise<Object>} { method, value, thread }
+   */
+  function invoke(classSpec, methodSpec, args, options, config) {
+    const ui = getUI();
+    const list = Array.isArray(args) ? args : [];
+    const opts = options || {};
+    const { klass, classFullName, method } = core.resolveMethod(classSpec, methodSpec, list.length);
+    const signature = `${classFullName}.${method.name}(${method.parameters.map((p) => p.type.name).join(", ")})`;
+
+    let target = method;
+    if (!method.isStatic) {
+      if (!opts.instance) throw new Error(`${signature} is an instance method (pass options.instance)`);
+      const obj = resolveObject(opts.instance);
+      if (!klass.isAssignableFrom(obj.class)) {
+        throw new Error(`${opts.instance} (${obj.class.name}) is not a ${classFullName}`);
+      }
+      target = method.bind(obj);
+    }
+    const values = method.parameters.map((p, i) => {
+      try {
+        return marshal(list[i], p.type);
+      } catch (e) {
+        throw new Error(`${p.name}: ${e.message}`);
+      }
+    });
+
+    ui.info(`Invoking ${signature}${opts.instance ? ` on ${opts.instance}` : ""}`);
+    return onThread(opts.thread, () => {
+      const result = target.invoke(...values);
+      const value = formatResult(result, method, config);
+      ui.success(`${classFullName}.${method.name} returned ${value}`);
+      return { method: signature, value, thread: Process.getCurrentThreadId() };
+    });
+  }
+
+  // Export to global scope
+  global.IL2CPPHooker = global.IL2CPPHooker || {};
+  global.IL2CPPHooker.invoke = {
+    marshal,
+    invoke,
+  };
+})(globalThis);
@@ -0,0 +1,262 @@
+"use strict";
+
+/**
+ * Return value and argument overrides (CONFIG.patch) and method stubs (CONFIG.stub)
+ *
+ * Rules (keyed like conditions: "Method", "Class.Method", "Namespace.Class.Method"):
+ * - return: value written in onLeave
+ * - args: { name | index: value } written in onEnter
+ *
+ * Values:
+ * - true / false, integers (also enums and Char), null
+ * - strings (new System.String per call)
+ * - { new: "Namespace.Class" } → freshly created object (parameterless .ctor)
+ * - { ptr: "0x..." } → raw pointer
+ *
+ * Stubs (CONFIG.stub, same keys and values) replace the whole method with
+ * Interceptor.replace: the configured value is returned without running the
+ * original, unless callOriginalIf (a conditions expression) matches.
+ *
+ * Floating point and struct values are passed outside of the integer
+ * registers Frida can rewrite, so such targets are reported and skipped.
+ *
+ * @module patches
+ */
+
+(function(global) {
+  const utils = global.IL2CPPHooker.utils;
+  const generics = global.IL2CPPHooker.generics;
+
+  function getUI() {
+    return global.IL2CPPHooker.ui;
+  }
+
+  const INTEGER_TYPES = [
+    "Boolean", "Char", "SByte", "Byte", "Int16", "UInt16",
+    "Int32", "UInt32", "Int64", "UInt64", "IntPtr", "UIntPtr",
+  ];
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+
+  /**
+   * Display form of a configured value for the hook output
+   */
+  function describeValue(value) {
+    if (isPlainObject(value)) {
+      if (value.new) return `new ${value.new}`;
+      if (value.ptr) return String(value.ptr);
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Checks that a type travels in an integer register (pointer, integer, enum)
+   * @returns {boolean} True for integer-like types, false for references
+   */
+  function checkRegisterType(type) {
+    const baseName = type.name.replace(/^.*\./, "");
+    if (type.isByReference) return false;
+    if (baseName === "Single" || baseName === "Double") {
+      throw new Error(`${baseName} values are not passed in integer registers`);
+    }
+
+    let isEnum = false;
+    let isValueType = false;
+    try {
+      isEnum = type.class.isEnum;
+      isValueType = type.class.isValueType;
+    } catch (_) {}
+    const isInteger = INTEGER_TYPES.includes(baseName) || isEnum;
+    if (isValueType && !isInteger) throw new Error(`struct ${type.name} is not supported`);
+    return isInteger;
+  }
+
+  /**
+   * Builds an encoder producing the native value for a type, or throws
+   * @param {*} value - Configured value
+   * @param {Il2Cpp.Type} type - Return or parameter type
+   * @returns {Function} () → NativePointer
+   */
+  function encoderFor(value, type) {
+    if (type.isByReference) throw new Error("ref / out parameters are not supported");
+    const baseName = type.name.replace(/^.*\./, "");
+    const isInteger = checkRegisterType(type);
+
+    if (value === null) {
+      if (isInteger) throw new Error(`null for ${type.name}`);
+      return () => NULL;
+    }
+    if (typeof value === "boolean") {
+      const p = ptr(value ? 1 : 0);
+      return () => p;
+    }
+    if (typeof value === "number") {
+      if (!Number.isInteger(value)) throw new Error(`${value} is not an integer`);
+      // Negative numbers wrap to two's complement (the callee reads the low bits)
+      const p = value < 0 ? ptr(0).sub(-value) : ptr(value);
+      return () => p;
+    }
+    if (typeof value === "string") {
+      if (baseName === "Char" && value.length === 1) {
+        const p = ptr(value.charCodeAt(0));
+        return () => p;
+      }
+      if (!utils.isStringType(type.name)) throw new Error(`string for ${type.name}`);
+      return () => Il2Cpp.string(value).handle;
+    }
+    if (isPlainObject(value) && value.ptr) {
+      const p = ptr(value.ptr);
+      return () => p;
+    }
+    if (isPlainObject(value) && value.new) {
+      if (isInteger) throw new Error(`object for ${type.name}`);
+      const klass = generics.resolveClass(value.new);
+      if (!klass) throw new Error(`class not found: ${value.new}`);
+      return () => klass.new().handle;
+    }
+    throw new Error(`unsupported value ${describeValue(value)}`);
+  }
+
+  /**
+   * Compiles a rule against a method's signature
+   * @returns {Object} { ret: { encode, display } | null, args: [{ index, name, encode, display }] }
+   */
+  function compile(rule, method) {
+    if (!isPlainObject(rule)) throw new Error("rule must be an object");
+    const compiled = { ret: null, args: [] };
+
+    if ("return" in rule) {
+      if (method.returnType.name.replace(/^.*\./, "") === "Void") throw new Error("method returns void");
+      compiled.ret = { encode: encoderFor(rule.return, method.returnType), display: describeValue(rule.return) };
+    }
+
+    if (rule.args !== undefined) {
+      if (!isPlainObject(rule.args)) throw new Error("args must be an object");
+      Object.keys(rule.args).forEach((key) => {
+        const index = /^\d+$/.test(key)
+          ? Number(key)
+          : method.parameters.findIndex((p) => p.name === key);
+        const param = method.parameters[index];
+        if (!param) throw new Error(`unknown parameter: ${key}`);
+        compiled.args.push({
+          index,
+          name: param.name || `arg${index}`,
+          encode: encoderFor(rule.args[key], param.type),
+          display: describeValue(rule.args[key]),
+        });
+      });
+    }
+    return compiled.ret || compiled.args.length > 0 ? compiled : null;
+  }
+
+  /**
+   * Compiles a stub rule: the replacement returns rule.return (zero / null by
+   * default) unless rule.callOriginalIf (a condition expression) matches
+   * @returns {Object} { encode, display, condition, source } (source: rule as JSON)
+   */
+  function compileStub(rule, method) {
+    if (!isPlainObject(rule)) throw new Error("rule must be an object");
+    // The replacement is declared with pointer-sized arguments and return value
+    [method.returnType].concat(method.parameters.map((p) => p.type)).forEach((type) => {
+      checkRegisterType(type);
+    });
+
+    const isVoid = method.returnType.name.replace(/^.*\./, "") === "Void";
+    const stub = {
+      encode: () => NULL,
+      display: isVoid ? "void" : "default",
+      condition: null,
+      source: JSON.stringify(rule),
+    };
+    if ("return" in rule) {
+      if (isVoid) throw new Error("method returns void");
+      stub.encode = encoderFor(rule.return, method.returnType);
+      stub.display = describeValue(rule.return);
+    }
+    if (rule.callOriginalIf !== undefined) {
+      stub.condition = global.IL2CPPHooker.conditions.compile(String(rule.callOriginalIf), method);
+    }
+    return stub;
+  }
+
+  /**
+   * Finds and compiles the rule configured for a method; cached on the method
+   * per rule content (reloads edit rules in place), invalid rules are reported
+   * once and ignored
+   */
+  function lookup(cfg, method, classFullName, kind, compileRule) {
+    if (!cfg) return null;
+    const label = method.__hookLabel || method.name;
+    const keys = utils.methodConfigKeys(classFullName, method.name, label);
+    const key = keys.find((k) => isPlainObject(cfg[k]));
+    if (!key) return null;
+
+    const rule = cfg[key];
+    const source = JSON.stringify(rule);
+    const cacheKey = `__${kind}`;
+    const cached = method[cacheKey];
+    if (cached && cached.source === source) return cached.compiled;
+
+    let compiled = null;
+    try {
+      compiled = compileRule(rule, method);
+    } catch (e) {
+      getUI().warn(`Ignoring ${kind} for ${classFullName}.${label}: ${e.message}`);
+    }
+    method[cacheKey] = { source, compiled };
+    return compiled;
+  }
+
+  /**
+   * Patch rule configured for a method (CONFIG.patch)
+   * @returns {Object|null} Compiled rule or null
+   */
+  function ruleFor(patchCfg, method, classFullName) {
+    return lookup(patchCfg, method, classFullName, "patch", compile);
+  }
+
+  /**
+   * Stub rule configured for a method (CONFIG.stub)
+   * @returns {Object|null} Compiled stub or null
+   */
+  function stubFor(stubCfg, method, classFullName) {
+    return lookup(stubCfg, method, classFullName, "stub", compileStub);
+  }
+
+  /**
+   * Rewrites the patched arguments (onEnter)
+   * @returns {Set<number>} Patched parameter indexes
+   */
+  function applyArgs(compiled, args, argStart) {
+    const patched = new Set();
+    compiled.args.forEach((arg) => {
+      args[arg.index + argStart] = arg.encode();
+      patched.add(arg.index);
+    });
+    return patched;
+  }
+
+  /**
+   * Replaces the return value (onLeave)
+   * @returns {NativePointer|null} New return value, or null without a return patch
+   */
+  function applyReturn(compiled, retval) {
+    if (!compiled.ret) return null;
+    const value = compiled.ret.encode();
+    retval.replace(value);
+    return value;
+  }
+
+  // Export to global scope
+  global.IL2CPPHooker = global.IL2CPPHooker || {};
+  global.IL2CPPHooker.patches = {
+    compile,
+    compileStub,
+    ruleFor,
+    stubFor,
+    applyArgs,
+    applyReturn,
+  };
+})(globalThis);
@@ -0,0 +1,119 @@
+"use strict";
+
+/**
+ * Per-method call latency profiling
+ *
+ * Measurement:
+ * - Duration from the end of onEnter to the start of onLeave (logging excluded)
+ * - High-resolution clock when available (performance.now), Date.now otherwise
+ *
+ * Aggregates per hooked method:
+ * - count, total, min, max, average
+ * - p50 / p95 over the most recent profiling.samples calls
+ *
+ * The table is printed on demand (rpc.exports.profile) and when the script unloads.
+ *
+ * @module profiler
+ */
+
+(function(global) {
+  const hasPerformance = typeof performance !== "undefined" && typeof performance.now === "function";
+
+  // Aggregates by "Class.Method" key
+  const stats = new Map();
+
+  const SORT_KEYS = ["total", "avg", "max", "min", "p50", "p95", "count"];
+
+  /**
+   * Current time in milliseconds (fractional when supported)
+   */
+  function now() {
+    return hasPerformance ? performance.now() : Date.now();
+  }
+
+  /**
+   * Records one call duration
+   * @param {string} className - Display class name
+   * @param {string} methodName - Display method name
+   * @param {number} ms - Duration in milliseconds
+   * @param {number} maxSamples - Ring buffer size used for percentiles
+   */
+  function record(className, methodName, ms, maxSamples) {
+    const key = `${className}.${methodName}`;
+    let entry = stats.get(key);
+    if (!entry) {
+      entry = { className, methodName, count: 0, total: 0, min: Infinity, max: 0, samples: [], next: 0 };
+      stats.set(key, entry);
+    }
+    entry.count++;
+    entry.total += ms;
+    if (ms < entry.min) entry.min = ms;
+    if (ms > entry.max) entry.max = ms;
+
+    const size = maxSamples > 0 ? maxSamples : 1000;
+    if (entry.samples.length < size) {
+      entry.samples.push(ms);
+    } else {
+      entry.samples[entry.next] = ms;
+      entry.next = (entry.next + 1) % size;
+    }
+  }
+
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const idx = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(idx, 0)];
+  }
+
+  /**
+   * Aggregated rows, sorted descending by the given key
+   * @param {string} sortBy - "total" | "avg" | "max" | "min" | "p50" | "p95" | "count"
+   * @param {number} top - Maximum rows (0 = all)
+   * @returns {Array<Object>} Rows
+   */
+  function rows(sortBy, top) {
+    const key = SORT_KEYS.includes(sortBy) ? sortBy : "total";
+    const list = Array.from(stats.values()).map((entry) => {
+      const sorted = entry.samples.slice().sort((a, b) => a - b);
+      return {
+        method: `${entry.className}.${entry.methodName}`,
+        count: entry.count,
+        total: entry.total,
+        avg: entry.total / entry.count,
+        min: entry.min,
+        max: entry.max,
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+      };
+    });
+    list.sort((a, b) => b[key] - a[key]);
+    return top > 0 ? list.slice(0, top) : list;
+  }
+
+  function reset() {
+    stats.clear();
+  }
+
+  /**
+   * Prints the profiling table
+   * @param {Object} opts - { sortBy, top } (defaults from CONFIG.profiling)
+   * @returns {Array<Object>} Printed rows
+   */
+  function printTable(opts) {
+    const sortBy = SORT_KEYS.includes(opts?.sortBy) ? opts.sortBy : "total";
+    const list = rows(sortBy, opts?.top ?? 0);
+    global.IL2CPPHooker.ui.profileTable(list, sortBy, stats.size);
+    return list;
+  }
+
+  // Export to global scope
+  global.IL2CPPHooker = global.IL2CPPHooker || {};
+  global.IL2CPPHooker.profiler = {
+    SORT_KEYS,
+    now,
+    record,
+    rows,
+    reset,
+    printTable,
+  };
+})(globalThis);
@@ -0,0 +1,201 @@
+"use strict";
+
+/**
+ * Runtime control API over rpc.exports
+ *
+ * Lets a Frida client change the session without detaching
+ * (Python: script.exports_sync.list_hooks()):
+ * - listHooks()                    → registered hooks with ids
+ * - quarantined()                  → hooks detached after repeated errors (also printed)
+ * - hookMethod(className, method?) → hook a class, or one method / overload, live
+ * - hookMethod(id)                 → re-attach a detached hook
+ * - unhookMethod(idOrName)         → detach hooks (kept in listHooks for re-attach)
+ * - setFilter(filters)             → re-filter hooked classes, attach / detach the difference
+ * - setVerbosity(level)            → "minimal" | "normal" | "verbose"
+ * - dump(address)                  → field dump of a managed object
+ * - pause() / resume()             → suspend logging, hooks stay attached
+ * - reloadConfig(patch)            → validate and apply a partial config live
+ * - profile(sortBy?, top?)         → print / return the per-method latency table
+ * - resetProfile()                 → clear profiling data
+ * - listThreads()                  → threads seen by hooks (id, kind, name, label)
+ * - resetSampling()                → clear sampling budgets (muted methods log again)
+ * - invoke(className, method, args?, options?) → call a managed method, formatted result
+ *   (options: { instance: "Class#N" | "0x...", thread: "main" | "current" | id })
+ *
+ * The same partial config can be posted as a message:
+ * script.post({"type": "config", "payload": {...}})
+ *
+ * Calls run inside Il2Cpp.perform and return promises to the client.
+ *
+ * @module rpc
+ */
+
+(function(global) {
+  const hooker = global.IL2CPPHooker;
+  const core = hooker.core;
+  const formatters = hooker.formatters;
+  const profiler = hooker.profiler;
+  const threads = hooker.threads;
+  const sampling = hooker.sampling;
+  const invoke = hooker.invoke;
+  const ui = hooker.ui;
+
+  function getConfig() {
+    return hooker.normalizeConfig ? hooker.normalizeConfig(hooker.CONFIG) : hooker.CONFIG;
+  }
+
+  /**
+   * Validates and merges a partial config into the live one. Hooks read the
+   * config on every call, so formatting / logging / dump / ui changes apply to
+   * the next call; target and filter changes re-diff the hooked classes, and
+   * stub changes re-install the affected hooks.
+   * @returns {Object} Summary of what was applied
+   */
+  function reloadConfig(patch) {
+    const config = getConfig();
+    const errors = hooker.validateConfigPatch(config, patch);
+    if (errors.length > 0) {
+      throw new Error(`Invalid config: ${errors.join("; ")}`);
+    }
+
+    hooker.mergeConfigPatch(config, patch);
+    formatters.clearPreviewCache();
+    if (patch.dump) formatters.clearDumpState();
+    if (patch.ui) ui.reconfigure(config.ui);
+    if (patch.exceptions) hooker.exceptions.init(config);
+
+    const result = { applied: Object.keys(patch) };
+    if (patch.stub) {
+      result.restubbed = core.refreshStubs(config);
+    }
+    if (patch.target || patch.filters) {
+      const targets = core
+        .normalizeTargets(config.target, config.filters)
+        .filter((target) => core.hasClassCriteria(target));
+      Object.assign(result, core.syncTargets(targets, config));
+      ui.info(`Targets reloaded: ${result.classes} class(es), ${result.removed} removed, ${result.detached} detached, ${result.queued} queued`);
+    }
+    ui.success(`Config reloaded (${result.applied.join(", ")})`);
+    return result;
+  }
+
+  /**
+   * Listens for {type: "config", payload: {...}} messages from the host
+   */
+  function listenForConfig() {
+    recv("config", (message) => {
+      Il2Cpp.perform(() => reloadConfig(message.payload || {})).catch((e) => {
+        ui.error(`Config reload failed: ${e.message}`);
+      });
+      // recv() handles a single message; register again for the next one
+      listenForConfig();
+    });
+  }
+
+  Object.assign(rpc.exports, {
+    listHooks() {
+      return core.listHooks();
+    },
+
+    quarantined() {
+      const list = core.quarantinedHooks();
+      if (list.length === 0) ui.info("No quarantined hooks");
+      ui.quarantineSummary(list);
+      return list;
+    },
+
+    hookMethod(classSpec, methodSpec) {
+      return Il2Cpp.perform(() => {
+        if (typeof classSpec === "number") {
+          return core.reattachHook(classSpec, getConfig());
+        }
+        return core.hookMethod(classSpec, methodSpec || null, getConfig());
+      });
+    },
+
+    unhookMethod(spec) {
+      const count = core.unhookMethod(spec);
+      if (count > 0) ui.info(`Detached ${count} hook(s) for ${spec}`);
+      return count;
+    },
+
+    setFilter(filters) {
+      return Il2Cpp.perform(() => {
+        const result = core.applyFilters(filters || {}, getConfig());
+        ui.info(`Filters updated: ${result.classes} class(es), ${result.detached} detached, ${result.queued} queued`);
+        return result;
+      });
+    },
+
+    setVerbosity(level) {
+      if (!ui.setVerbosity(level)) {
+        throw new Error(`Unknown verbosity: ${level} (minimal, normal, verbose)`);
+      }
+      ui.info(`Verbosity set to ${level}`);
+      return level;
+    },
+
+    dump(address) {
+      return Il2Cpp.perform(() => {
+        const handle = ptr(address);
+        if (handle.isNull()) throw new Error("Null pointer");
+        const typeName = new Il2Cpp.Object(handle).class.name;
+        // Explicit requests bypass dedup and per-type limits
+        const opts = Object.assign({}, getConfig().dump, { deduplication: false, maxPerType: 0 });
+        formatters.dumpObjectFields(handle, typeName, opts, getConfig());
+        return typeName;
+      });
+    },
+
+    profile(sortBy, top) {
+      const cfg = getConfig().profiling;
+      return profiler.printTable({ sortBy: sortBy || cfg.sortBy, top: top ?? cfg.top });
+    },
+
+    resetProfile() {
+      profiler.reset();
+      ui.info("Profiling data cleared");
+    },
+
+    resetSampling() {
+      sampling.reset();
+      ui.info("Sampling budgets cleared");
+    },
+
+    invoke(classSpec, methodSpec, args, options) {
+      return Il2Cpp.perform(() => invoke.invoke(classSpec, methodSpec, args, options, getConfig()));
+    },
+
+    listThreads() {
+      return threads.list();
+    },
+
+    reloadConfig(patch) {
+      return Il2Cpp.perform(() => reloadConfig(patch || {}));
+    },
+
+    pause() {
+      core.setLoggingPaused(true);
+      ui.info("Logging paused");
+    },
+
+    resume() {
+      core.setLoggingPaused(false);
+      ui.info("Logging resumed");
+    },
+  });
+
+  // Called by Frida when the script is unloaded (detach, Ctrl+C, reload)
+  rpc.exports.dispose = function() {
+    const cfg = getConfig().profiling;
+    if (cfg?.enabled && cfg.printOnExit) {
+      profiler.printTable({ sortBy: cfg.sortBy, top: cfg.top });
+    }
+    ui.quarantineSummary(core.quarantinedHooks());
+  };
+
+  listenForConfig();
+
+  // Export to global scope
+  global.IL2CPPHooker.rpc = rpc.exports;
+})(globalThis);
@@ -0,0 +1,128 @@
+"use strict";
+
+/**
+ * Per-method runtime logging budgets for hot methods
+ *
+ * Budgets (global defaults, overridable per method in sampling.methods):
+ * - every: log 1 of every N calls
+ * - maxPerSecond: log at most N calls per second
+ * - muteAfter: stop logging after K logged calls
+ *
+ * Suppressed calls are skipped entirely (no formatting, dumps or traces) and
+ * reported periodically as "suppressed X calls" lines. This complements
+ * ui.collapse, which only folds back-to-back repeats.
+ *
+ * @module sampling
+ */
+
+(function(global) {
+  const utils = global.IL2CPPHooker.utils;
+
+  function getUI() {
+    return global.IL2CPPHooker.ui;
+  }
+
+  // Budget state by "Class.Method": { seen, logged, suppressed, windowStart, windowCount, reason }
+  const state = new Map();
+  let reportTimer = null;
+
+  /**
+   * Resolves the effective budget of a method (per-method keys override defaults)
+   * @returns {Object|null} { every, maxPerSecond, muteAfter } or null when unlimited
+   */
+  function budgetFor(cfg, classFullName, method) {
+    if (!cfg) return null;
+    let override = null;
+    if (cfg.methods) {
+      const keys = utils.methodConfigKeys(classFullName, method.name, method.__hookLabel || method.name);
+      const key = keys.find((k) => cfg.methods[k] && typeof cfg.methods[k] === "object");
+      override = key ? cfg.methods[key] : null;
+    }
+    const every = override?.every ?? cfg.every ?? 1;
+    const maxPerSecond = override?.maxPerSecond ?? cfg.maxPerSecond ?? 0;
+    const muteAfter = override?.muteAfter ?? cfg.muteAfter ?? 0;
+    if (every <= 1 && maxPerSecond <= 0 && muteAfter <= 0) return null;
+    return { every, maxPerSecond, muteAfter };
+  }
+
+  /**
+   * Decides whether a call is logged, counting it against the method's budget
+   * @param {string} key - "Class.Method" display key
+   * @param {Object} budget - From budgetFor()
+   * @param {Object} cfg - CONFIG.sampling (reportMs)
+   * @returns {boolean} True if the call should be logged
+   */
+  function allow(key, budget, cfg) {
+    let entry = state.get(key);
+    if (!entry) {
+      entry = { seen: 0, logged: 0, suppressed: 0, windowStart: 0, windowCount: 0, reason: null };
+      state.set(key, entry);
+    }
+    entry.seen++;
+
+    let reason = null;
+    if (budget.muteAfter > 0 && entry.logged >= budget.muteAfter) {
+      reason = `muted after ${budget.muteAfter} calls`;
+    } else if (budget.every > 1 && (entry.seen - 1) % budget.every !== 0) {
+      reason = `sampled 1/${budget.every}`;
+    } else if (budget.maxPerSecond > 0) {
+      const now = Date.now();
+      if (now - entry.windowStart >= 1000) {
+        entry.windowStart = now;
+        entry.windowCount = 0;
+      }
+      if (entry.windowCount >= budget.maxPerSecond) {
+        reason = `rate limit ${budget.maxPerSecond}/s`;
+      } else {
+        entry.windowCount++;
+      }
+    }
+
+    if (reason) {
+      entry.suppressed++;
+      entry.reason = reason;
+      scheduleReport(cfg);
+      return false;
+    }
+    entry.logged++;
+    return true;
+  }
+
+  function scheduleReport(cfg) {
+    if (reportTimer) return;
+    const interval = cfg?.reportMs > 0 ? cfg.reportMs : 5000;
+    reportTimer = setTimeout(() => {
+      reportTimer = null;
+      report();
+    }, interval);
+  }
+
+  /**
+   * Prints one "suppressed X calls" line per method suppressed since the last report
+   */
+  function report() {
+    const ui = getUI();
+    state.forEach((entry, key) => {
+      if (entry.suppressed === 0) return;
+      ui.suppressedCalls(key, entry.suppressed, entry.reason, entry.seen);
+      entry.suppressed = 0;
+    });
+  }
+
+  /**
+   * Clears all budgets (muted methods log again)
+   */
+  function reset() {
+    report();
+    state.clear();
+  }
+
+  // Export to global scope
+  global.IL2CPPHooker = global.IL2CPPHooker || {};
+  global.IL2CPPHooker.sampling = {
+    budgetFor,
+    allow,
+    report,
+    reset,
+  };
+})(globalThis);
@@ -0,0 +1,205 @@
+"use strict";
+
+/**
+ * Async / iterator state machine tracking (filters.stateMachines)
+ *
+ * Discovery:
+ * - The compiler moves the body of async and iterator methods into a nested
+ *   "<Method>d__N" class; its MoveNext runs the code between awaits / yields
+ * - MoveNext is hooked for each selected method that has such a class
+ *
+ * Decoding (read through the bridge on every MoveNext):
+ * - <>1__state: -1 running, N suspended at await / yield N, -2 finished
+ * - Hoisted locals ("<token>5__2" → token) and copied parameters
+ * - Async result: <>t__builder.m_task, or <>t__builder.m_builder.m_task for plain
+ *   async Task (Task status and Task<T>.m_result)
+ * - Iterator result: MoveNext's bool return value and <>2__current
+ *
+ * Steps are tied to the original call: the Task (async) or iterator object
+ * returned by the hooked method is remembered with its call id.
+ *
+ * @module statemachines
+ */
+
+(function(global) {
+  const formatters = global.IL2CPPHooker.formatters;
+  const threads = global.IL2CPPHooker.threads;
+
+  const STATE_MACHINE_NAME = /^<(.+)>d__\d+$/;
+  const HOISTED_LOCAL = /^<(.+)>5__\d+$/;
+  const STATE_FIELD = "<>1__state";
+  const BUILDER_FIELD = "<>t__builder";
+  const CURRENT_FIELD = "<>2__current";
+  const STATE_FINISHED = -2;
+
+  // Task.m_stateFlags bits
+  const TASK_FAULTED = 0x200000;
+  const TASK_CANCELED = 0x400000;
+
+  // Pending runs: Task / iterator handle → call id of the original call
+  const runs = new Map();
+  const MAX_RUNS = 1000;
+
+  /**
+   * State machine classes generated for a method
+   * @param {Il2Cpp.Method} method - Async or iterator method
+   * @returns {Array<Object>} { klass, moveNext, kind: "async" | "iterator" }
+   */
+  function find(method) {
+    let nested = [];
+    try {
+      nested = method.class.nestedClasses;
+    } catch (_) {
+      return [];
+    }
+    const found = [];
+    nested.forEach((klass) => {
+      const match = klass.name.match(STATE_MACHINE_NAME);
+      if (!match || match[1] !== method.name) return;
+      try {
+        const moveNext = klass.tryMethod("MoveNext", 0);
+        if (!moveNext) return;
+        if (klass.tryField(BUILDER_FIELD)) {
+          found.push({ klass, moveNext, kind: "async" });
+        } else if (klass.tryField(CURRENT_FIELD)) {
+          found.push({ klass, moveNext, kind: "iterator" });
+        }
+      } catch (_) {}
+    });
+    return found;
+  }
+
+  /**
+   * Remembers the call a Task / iterator object was returned by
+   * @param {NativePointer} handle - Returned object
+   * @param {number} callId - Call id of the original call
+   */
+  function track(handle, callId) {
+    if (!handle || handle.isNull()) return;
+    if (runs.size >= MAX_RUNS) runs.delete(runs.keys().next().value);
+    runs.set(handle.toString(), callId);
+  }
+
+  // Async state machines are structs in release builds: `this` is unboxed
+  function bind(info, thisPtr) {
+    return info.klass.isValueType
+      ? new Il2Cpp.ValueType(thisPtr, info.klass.type)
+      : new Il2Cpp.Object(thisPtr);
+  }
+
+  function readState(sm) {
+    try {
+      return sm.field(STATE_FIELD).value;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function taskOf(sm) {
+    try {
+      const builder = sm.field(BUILDER_FIELD).value;
+      // AsyncTaskMethodBuilder (plain async Task) wraps an AsyncTaskMethodBuilder<VoidTaskResult>
+      const task = (builder.tryField("m_task") || builder.tryField("m_builder")?.value.tryField("m_task"))?.value;
+      return task && !task.isNull() ? task : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function formatField(field, config) {
+    const value = field.value;
+    if (value instanceof Il2Cpp.ValueType) return `${field.type.name}@${value.handle} (struct)`;
+    return formatters.summarizeFieldValue(value, field.type.name, formatters.getPreviewOptions(config));
+  }
+
+  /**
+   * Hoisted locals and parameters (compiler bookkeeping fields are skipped)
+   * @returns {Array<Object>} { name, value }
+   */
+  function hoistedLocals(sm, info, config) {
+    const locals = [];
+    for (const field of info.klass.fields) {
+      if (locals.length >= config.logging.maxArgs) break;
+      if (field.isStatic) continue;
+      const hoisted = field.name.match(HOISTED_LOCAL);
+      if (!hoisted && field.name.startsWith("<")) continue;
+      try {
+        locals.push({ name: hoisted ? hoisted[1] : field.name, value: formatField(sm.field(field.name), config) });
+      } catch (_) {}
+    }
+    return locals;
+  }
+
+  /**
+   * Reads a state machine as MoveNext starts
+   * @param {Object} info - { klass, kind, owner } (owner: "Class.Method")
+   * @param {NativePointer} thisPtr - MoveNext `this`
+   * @param {number} tid - OS thread id
+   * @param {NativePointer} sp - Stack pointer on entry
+   * @returns {Object} Step { info, sm, key, callId, state, event }
+   */
+  function enter(info, thisPtr, tid, sp) {
+    const sm = bind(info, thisPtr);
+    const state = readState(sm);
+    const task = info.kind === "async" ? taskOf(sm) : null;
+    const key = info.kind === "async" ? (task ? task.handle.toString() : null) : thisPtr.toString();
+
+    // The first async step runs inside the original call, before its Task exists
+    let callId = key ? runs.get(key) ?? null : null;
+    if (callId === null) {
+      const frame = threads.current(tid, sp);
+      if (frame && frame.label === info.owner) callId = frame.id;
+    }
+    const initial = info.kind === "async" ? -1 : 0;
+    return { info, sm, key, callId, state, event: state === initial ? "started" : "resumed" };
+  }
+
+  /**
+   * Reads a state machine as MoveNext returns
+   * @param {Object} step - Step from enter()
+   * @param {NativePointer} retval - MoveNext return value (iterators)
+   * @param {Object} config - Normalized CONFIG
+   * @returns {Object} { event, state, value, locals }
+   */
+  function leave(step, retval, config) {
+    const { info, sm } = step;
+    const state = readState(sm);
+
+    if (info.kind === "iterator") {
+      if ((retval.toInt32() & 0xff) === 0) {
+        runs.delete(step.key);
+        return { event: "done", state, value: null, locals: [] };
+      }
+      let value = null;
+      try {
+        value = formatField(sm.field(CURRENT_FIELD), config);
+      } catch (_) {}
+      return { event: "yield", state, value, locals: hoistedLocals(sm, info, config) };
+    }
+
+    const task = taskOf(sm);
+    if (state !== STATE_FINISHED) {
+      // Suspended at an await: the Task now exists and identifies later steps
+      if (task && step.callId !== null) track(task.handle, step.callId);
+      return { event: "awaiting", state, value: null, locals: hoistedLocals(sm, info, config) };
+    }
+
+    if (task) runs.delete(task.handle.toString());
+    // async void / custom builders have no Task to read
+    if (!task) return { event: "completed", state, value: null, locals: [] };
+    const flags = task.tryField("m_stateFlags")?.value || 0;
+    if (flags & TASK_FAULTED) return { event: "faulted", state, value: null, locals: [] };
+    if (flags & TASK_CANCELED) return { event: "canceled", state, value: null, locals: [] };
+    const result = task.tryField("m_result");
+    return { event: "completed", state, value: result ? formatField(result, config) : null, locals: [] };
+  }
+
+  // Export to global scope
+  global.IL2CPPHooker = global.IL2CPPHooker || {};
+  global.IL2CPPHooker.statemachines = {
+    find,
+    track,
+    enter,
+    leave,
+  };
+})(globalThis);
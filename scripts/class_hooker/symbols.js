@@ -0,0 +1,396 @@
+"use strict";
+
+/**
+ * Static analysis symbol import (Il2CppDumper / Cpp2IL output)
+ *
+ * Supported Formats:
+ * - Il2CppDumper script.json (ScriptMethod: Address, Name, Signature)
+ * - Il2CppDumper dump.cs (// RVA: comments above method declarations)
+ * - Plain lists: [{ rva, name, isStatic? }] JSON or "0x1234 [static] Ns.Class$$Method"
+ *   lines (e.g. converted Cpp2IL output)
+ *
+ * Resolution:
+ * - RVAs are rebased on the GameAssembly / libil2cpp module
+ * - Entries become method-like objects grouped per class, so they go through
+ *   the regular hookPlans pipeline (rate limiting, formatting, UI)
+ * - Plain list entries without a static marker take isStatic from the
+ *   runtime metadata of the named method (matched by RVA when overloaded)
+ *
+ * @module symbols
+ */
+
+(function(global) {
+  const { splitParams } = global.IL2CPPHooker.utils;
+
+  function getUI() {
+    return global.IL2CPPHooker.ui;
+  }
+
+  function getCore() {
+    return global.IL2CPPHooker.core;
+  }
+
+  // Il2CppDumper C type → managed type name (display and formatting only)
+  const C_TYPES = {
+    bool: "System.Boolean",
+    int8_t: "System.SByte",
+    uint8_t: "System.Byte",
+    int16_t: "System.Int16",
+    uint16_t: "System.UInt16",
+    int32_t: "System.Int32",
+    uint32_t: "System.UInt32",
+    int64_t: "System.Int64",
+    uint64_t: "System.UInt64",
+    float: "System.Single",
+    double: "System.Double",
+    void: "System.Void",
+    Il2CppChar: "System.Char",
+    intptr_t: "System.IntPtr",
+    uintptr_t: "System.UIntPtr",
+  };
+
+  // C# keywords used by dump.cs → managed type name
+  const CS_TYPES = {
+    bool: "System.Boolean",
+    sbyte: "System.SByte",
+    byte: "System.Byte",
+    short: "System.Int16",
+    ushort: "System.UInt16",
+    int: "System.Int32",
+    uint: "System.UInt32",
+    long: "System.Int64",
+    ulong: "System.UInt64",
+    float: "System.Single",
+    double: "System.Double",
+    char: "System.Char",
+    string: "System.String",
+    object: "System.Object",
+    void: "System.Void",
+  };
+
+  const CS_MODIFIERS = [
+    "public", "private", "protected", "internal", "static", "virtual", "override",
+    "abstract", "sealed", "extern", "new", "unsafe", "async", "readonly",
+  ];
+
+  function splitQualifiedName(fullName) {
+    const sep = fullName.indexOf("$$");
+    if (sep !== -1) {
+      return { className: fullName.slice(0, sep), methodName: fullName.slice(sep + 2) };
+    }
+    const lastDot = fullName.lastIndexOf(".");
+    if (lastDot === -1) return { className: "<global>", methodName: fullName };
+    return { className: fullName.slice(0, lastDot), methodName: fullName.slice(lastDot + 1) };
+  }
+
+  function cTypeToManaged(cType) {
+    const type = cType.replace(/\bconst\b/g, "").trim();
+    if (C_TYPES[type]) return C_TYPES[type];
+    let m = type.match(/^(\w+)_array\s*\*$/);
+    if (m) return `${m[1].replace(/_/g, ".")}[]`;
+    m = type.match(/^(\w+)_o\s*\*?$/);
+    if (m) return m[1].replace(/_/g, ".");
+    return "System.IntPtr";
+  }
+
+  /**
+   * Parses an Il2CppDumper C signature:
+   * "bool Ns_Class__Login (Ns_Class_o* __this, System_String_o* user, const MethodInfo* method);"
+   */
+  function parseCSignature(signature) {
+    const result = { isStatic: true, returnType: "System.IntPtr", parameters: [] };
+    if (typeof signature !== "string") return result;
+    const open = signature.indexOf("(");
+    const close = signature.lastIndexOf(")");
+    if (open === -1 || close < open) return result;
+
+    const head = signature.slice(0, open).trim().split(/\s+/);
+    head.pop(); // function name
+    if (head.length > 0) result.returnType = cTypeToManaged(head.join(" "));
+
+    splitParams(signature.slice(open + 1, close)).forEach((param) => {
+      const m = param.match(/^(.*?)([A-Za-z_]\w*)$/);
+      if (!m) return;
+      const name = m[2];
+      if (name === "__this") {
+        result.isStatic = false;
+        return;
+      }
+      if (name === "method" && /MethodInfo/.test(m[1])) return;
+      result.parameters.push({ name, type: { name: cTypeToManaged(m[1]) } });
+    });
+    return result;
+  }
+
+  function csTypeToManaged(csType) {
+    const type = csType.trim();
+    const suffix = (type.match(/(\[\]|\?)+$/) || [""])[0];
+    const base = type.slice(0, type.length - suffix.length);
+    return (CS_TYPES[base] || base) + suffix;
+  }
+
+  function parseScriptJson(data) {
+    const list = Array.isArray(data.ScriptMethod) ? data.ScriptMethod : [];
+    return list
+      .filter((e) => e && typeof e.Name === "string" && e.Address !== undefined)
+      .map((e) => {
+        const names = splitQualifiedName(e.Name);
+        const sig = parseCSignature(e.Signature);
+        return {
+          rva: e.Address,
+          className: names.className,
+          methodName: names.methodName,
+          isStatic: sig.isStatic,
+          returnType: sig.returnType,
+          parameters: sig.parameters,
+        };
+      });
+  }
+
+  function parsePlainList(data) {
+    return data
+      .filter((e) => e && (e.rva !== undefined || e.address !== undefined) && typeof e.name === "string")
+      .map((e) => {
+        const names = splitQualifiedName(e.name);
+        return {
+          rva: e.rva !== undefined ? e.rva : e.address,
+          className: names.className,
+          methodName: names.methodName,
+          // null: not stated, looked up in the metadata (see lookupIsStatic)
+          isStatic: typeof e.isStatic === "boolean" ? e.isStatic : null,
+          returnType: "System.IntPtr",
+          parameters: [],
+        };
+      });
+  }
+
+  function parseTextList(text) {
+    const entries = [];
+    text.split(/\r?\n/).forEach((line) => {
+      const m = line.trim().match(/^(0x[0-9a-fA-F]+|\d+)\s+(static\s+)?(\S+)/);
+      if (m) entries.push(...parsePlainList([{ rva: m[1], name: m[3], isStatic: m[2] ? true : undefined }]));
+    });
+    return entries;
+  }
+
+  /**
+   * Parses Il2CppDumper dump.cs: tracks namespace / type declarations and
+   * pairs each "// RVA: 0x..." comment with the method declared below it.
+   */
+  function parseDumpCs(text) {
+    const entries = [];
+    let namespace = "";
+    let typeName = null;
+    let pendingRva = null;
+
+    text.split(/\r?\n/).forEach((raw) => {
+      const line = raw.trim();
+      let m = line.match(/^\/\/ Namespace:\s*(.*)$/);
+      if (m) {
+        namespace = m[1].trim();
+        return;
+      }
+      m = line.match(/\b(?:class|struct|interface)\s+([^\s:{]+).*\/\/ TypeDefIndex/);
+      if (m) {
+        typeName = namespace ? `${namespace}.${m[1]}` : m[1];
+        pendingRva = null;
+        return;
+      }
+      m = line.match(/^\/\/ RVA:\s*(0x[0-9a-fA-F]+)/);
+      if (m) {
+        pendingRva = m[1];
+        return;
+      }
+      if (!pendingRva || !typeName) return;
+      if (!line || line.startsWith("//") || line.startsWith("[")) return;
+
+      m = line.match(/^(.*?)([^\s(]+)\((.*)\)\s*\{\s*\}?\s*$/);
+      if (m) {
+        const tokens = m[1].trim().split(/\s+/);
+        const modifiers = [];
+        while (tokens.length > 1 && CS_MODIFIERS.includes(tokens[0])) {
+          modifiers.push(tokens.shift());
+        }
+        const returnType = tokens.join(" ") || "void";
+        entries.push({
+          rva: pendingRva,
+          className: typeName,
+          methodName: m[2],
+          isStatic: modifiers.includes("static"),
+          returnType: csTypeToManaged(returnType),
+          parameters: splitParams(m[3]).map((param, i) => {
+            const tokens = param.replace(/\s*=.*$/, "").split(/\s+/)
+              .filter((t) => t !== "ref" && t !== "out" && t !== "in" && t !== "params");
+            const name = tokens.length > 1 ? tokens.pop() : `arg${i}`;
+            const isByRef = /^(ref|out|in)\s/.test(param);
+            return { name, type: { name: csTypeToManaged(tokens.join(" ")) + (isByRef ? "&" : "") } };
+          }),
+        });
+      }
+      pendingRva = null;
+    });
+    return entries;
+  }
+
+  function detectFormat(data) {
+    if (typeof data !== "string") {
+      return Array.isArray(data) ? "list" : "script.json";
+    }
+    if (/\/\/ RVA:/.test(data)) return "dump.cs";
+    return /^\s*[\[{]/.test(data) ? "json" : "text";
+  }
+
+  /**
+   * Parses symbol file contents into normalized entries
+   * @param {string|Object} data - File contents or parsed JSON
+   * @param {string} format - "auto" | "script.json" | "dump.cs" | "list"
+   * @returns {Array} Entries {rva, className, methodName, isStatic, returnType, parameters}
+   */
+  function parseSymbols(data, format) {
+    let fmt = !format || format === "auto" ? detectFormat(data) : format;
+    let parsed = data;
+    if (typeof data === "string" && (fmt === "json" || fmt === "script.json" || fmt === "list")) {
+      parsed = JSON.parse(data);
+      if (fmt === "json") fmt = Array.isArray(parsed) ? "list" : "script.json";
+    }
+    switch (fmt) {
+      case "script.json":
+        return parseScriptJson(parsed);
+      case "dump.cs":
+        return parseDumpCs(String(data));
+      case "list":
+        return Array.isArray(parsed) ? parsePlainList(parsed) : parseTextList(String(data));
+      default:
+        return parseTextList(String(data));
+    }
+  }
+
+  /**
+   * Reads symbol data from an embedded value or a file on the target device
+   */
+  function readSource(source) {
+    if (source.data) return source.data;
+    if (!source.path) return null;
+    if (typeof File === "undefined" || typeof File.readAllText !== "function") {
+      throw new Error("reading symbol files requires Frida 16.1+ (File.readAllText); embed the data instead");
+    }
+    return File.readAllText(source.path);
+  }
+
+  /**
+   * Static flag of an entry without one, from the runtime metadata: the
+   * same-named method of the class, by RVA when it is overloaded
+   * @returns {boolean|null} null when the method is not found
+   */
+  function lookupIsStatic(entry, rva) {
+    try {
+      const klass = global.IL2CPPHooker.generics.resolveClass(entry.className);
+      if (!klass) return null;
+      const named = klass.methods.filter((m) => m.name === entry.methodName);
+      const match = named.find((m) => m.relativeVirtualAddress.equals(rva)) || (named.length === 1 ? named[0] : null);
+      return match ? match.isStatic : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function toMethod(entry, base) {
+    let rva;
+    try {
+      rva = typeof entry.rva === "number" ? ptr(entry.rva) : ptr(String(entry.rva));
+    } catch (_) {
+      return null;
+    }
+    const method = {
+      name: entry.methodName,
+      isStatic: entry.isStatic,
+      parameters: entry.parameters,
+      parameterCount: entry.parameters.length,
+      returnType: { name: entry.returnType },
+      relativeVirtualAddress: rva,
+    };
+    if (method.isStatic === null) {
+      const isStatic = lookupIsStatic(entry, rva);
+      method.__staticUnknown = isStatic === null;
+      method.isStatic = !!isStatic;
+    }
+    method.__hookAddress = base.add(rva);
+    method.__hookClass = entry.className;
+    return method;
+  }
+
+  /**
+   * Loads a symbol source and builds hook plans grouped by class.
+   * Entries are selected with source.classRegex / source.methodRegex.
+   * @param {Object} source - {path|data, format, classRegex, methodRegex}
+   * @returns {Array} Plans {classFullName, methods, assembly}
+   */
+  function buildPlans(source) {
+    const ui = getUI();
+    if (!source.classRegex && !source.methodRegex) {
+      ui.error("Symbol import needs symbols.classRegex or symbols.methodRegex (refusing to hook every entry).");
+      return [];
+    }
+
+    let entries;
+    try {
+      const data = readSource(source);
+      if (!data) {
+        ui.error("Symbol import: set symbols.path or symbols.data.");
+        return [];
+      }
+      entries = parseSymbols(data, source.format);
+    } catch (e) {
+      ui.error(`Symbol import failed: ${e.message}`);
+      return [];
+    }
+
+    const classRe = source.classRegex ? new RegExp(source.classRegex) : null;
+    const methodRe = source.methodRegex ? new RegExp(source.methodRegex) : null;
+    const base = Il2Cpp.module.base;
+    const byClass = new Map();
+
+    entries.forEach((entry) => {
+      if (classRe && !classRe.test(entry.className)) return;
+      if (methodRe && !methodRe.test(entry.methodName)) return;
+      const method = toMethod(entry, base);
+      if (!method) return;
+      if (!byClass.has(entry.className)) byClass.set(entry.className, []);
+      byClass.get(entry.className).push(method);
+    });
+
+    ui.info(`Symbol import: ${entries.length} entries, ${byClass.size} class(es) selected`);
+    const unknown = Array.from(byClass.values()).reduce((n, methods) => n + methods.filter((m) => m.__staticUnknown).length, 0);
+    if (unknown > 0) {
+      ui.warn(`Symbol import: ${unknown} method(s) not found in the metadata, assumed to be instance methods (mark static ones with "static")`);
+    }
+
+    const assembly = { name: `symbols @ ${Il2Cpp.module.name}` };
+    return Array.from(byClass.entries()).map(([classFullName, methods]) => ({
+      klass: null,
+      assembly,
+      classFullName,
+      methods,
+    }));
+  }
+
+  /**
+   * Lists imported methods of a plan (same layout as core.listMethods)
+   */
+  function listPlan(plan) {
+    const ui = getUI();
+    ui.methodListStart(plan.classFullName, plan.methods.length);
+    plan.methods.forEach((m, i) => {
+      ui.methodListItem(i, getCore().methodSignature(m), m.__hookAddress.toString());
+    });
+    ui.methodListEnd();
+  }
+
+  global.IL2CPPHooker = global.IL2CPPHooker || {};
+  global.IL2CPPHooker.symbols = {
+    parseSymbols,
+    parseCSignature,
+    buildPlans,
+    listPlan,
+  };
+})(globalThis);
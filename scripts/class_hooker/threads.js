@@ -0,0 +1,197 @@
+"use strict";
+
+/**
+ * Thread identification, filtering and per-thread call tracking
+ *
+ * Call Stacks:
+ * - One stack of active hooked calls per OS thread (onEnter pushes, onLeave pops)
+ * - Session-wide call ids so returns can be paired with their call
+ * - Frames skipped by an exception are unwound when an outer call returns
+ *
+ * Thread Identification:
+ * - "main" for the Unity main thread
+ * - Managed thread name (System.Threading.Thread.Name) when set
+ * - "pool-T<id>" for thread pool workers, "T<id>" otherwise
+ * - Thread filters for logging.threads ("main", "background", ids, names, kinds)
+ *
+ * @module threads
+ */
+
+(function(global) {
+  // Active frames by thread id
+  const stacks = new Map();
+  let nextCallId = 1;
+  let mainThreadId = null;
+
+  /**
+   * Resolves the main thread id (call from an attached thread, e.g. Il2Cpp.perform)
+   */
+  function init() {
+    try {
+      mainThreadId = Il2Cpp.mainThread.id;
+    } catch (_) {
+      mainThreadId = null;
+    }
+  }
+
+  // Thread descriptions by id: { id, kind, name, label, resolvedAt }
+  const known = new Map();
+  // Unnamed threads are re-checked at most this often (names are often set late)
+  const NAME_RETRY_MS = 1000;
+
+  function managedInfo() {
+    const info = { managed: false, pool: false, name: null };
+    try {
+      const thread = Il2Cpp.currentThread;
+      if (!thread) return info;
+      info.managed = true;
+      const obj = thread.object;
+      const name = obj.tryMethod("get_Name", 0)?.invoke();
+      if (name && !name.isNull()) info.name = name.content;
+      info.pool = !!obj.tryMethod("get_IsThreadPoolThread", 0)?.invoke();
+    } catch (_) {}
+    return info;
+  }
+
+  /**
+   * Describes the calling thread (must run on thread tid, e.g. in onEnter)
+   * @param {number} tid - OS thread id of the current thread
+   * @returns {Object} { id, kind: "main"|"pool"|"managed"|"native", name, label }
+   */
+  function describe(tid) {
+    const now = Date.now();
+    const cached = known.get(tid);
+    if (cached && (cached.name || cached.kind === "main" || now - cached.resolvedAt < NAME_RETRY_MS)) {
+      return cached;
+    }
+
+    const info = tid === mainThreadId ? null : managedInfo();
+    let kind = "main";
+    if (info) kind = info.pool ? "pool" : info.managed ? "managed" : "native";
+    const name = info ? info.name : null;
+    let label = `T${tid}`;
+    if (kind === "main") label = "main";
+    else if (name) label = name;
+    else if (kind === "pool") label = `pool-T${tid}`;
+
+    const entry = { id: tid, kind, name, label, resolvedAt: now };
+    known.set(tid, entry);
+    return entry;
+  }
+
+  /**
+   * Short display label of the calling thread
+   * @param {number} tid - OS thread id of the current thread
+   * @returns {string} "main", managed name, "pool-T<id>" or "T<id>"
+   */
+  function threadLabel(tid) {
+    return describe(tid).label;
+  }
+
+  /**
+   * Checks the calling thread against a logging.threads rule:
+   * "main", "background" (everything but main), or an array / single entry of
+   * thread ids, managed names, labels or kinds ("pool", "native")
+   */
+  function threadAllowed(tid, rule) {
+    if (rule === null || rule === undefined || rule === "all") return true;
+    const entry = describe(tid);
+    if (rule === "background") return entry.kind !== "main";
+    const list = Array.isArray(rule) ? rule : [rule];
+    return list.some((r) =>
+      typeof r === "number"
+        ? r === tid
+        : r === entry.label || r === entry.name || r === entry.kind
+    );
+  }
+
+  /**
+   * Threads seen so far
+   * @returns {Array<Object>} { id, kind, name, label }
+   */
+  function list() {
+    return Array.from(known.values()).map(({ id, kind, name, label }) => ({ id, kind, name, label }));
+  }
+
+  /**
+   * Drops frames of calls that were unwound without returning (a managed
+   * exception caught by an unhooked caller): their stack pointer is at or
+   * below the given one, so the code running at sp is not nested in them
+   * @param {Array<Object>} stack - Frames of one thread
+   * @param {NativePointer} sp - Stack pointer of the code running now
+   */
+  function unwind(stack, sp) {
+    if (!sp) return;
+    let depth = stack.length;
+    while (depth > 0 && stack[depth - 1].sp && stack[depth - 1].sp.compare(sp) <= 0) depth--;
+    stack.length = depth;
+  }
+
+  /**
+   * Opens a frame for a call on the given thread
+   * @param {number} tid - OS thread id
+   * @param {string} label - "Class.Method" of the call (optional)
+   * @param {NativePointer} sp - Stack pointer on entry (optional, detects unwound frames)
+   * @returns {Object} Frame { id, tid, depth, parentId, label, sp }
+   */
+  function enter(tid, label, sp) {
+    let stack = stacks.get(tid);
+    if (!stack) {
+      stack = [];
+      stacks.set(tid, stack);
+    }
+    unwind(stack, sp);
+    const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+    const frame = {
+      id: nextCallId++,
+      tid,
+      depth: stack.length,
+      parentId: parent ? parent.id : null,
+      label: label || null,
+      sp: sp || null,
+    };
+    stack.push(frame);
+    return frame;
+  }
+
+  /**
+   * Closes a frame, along with any inner frame that never returned
+   */
+  function leave(frame) {
+    const stack = stacks.get(frame.tid);
+    if (!stack) return;
+    const idx = stack.lastIndexOf(frame);
+    if (idx !== -1) stack.length = idx;
+    if (stack.length === 0) stacks.delete(frame.tid);
+  }
+
+  /**
+   * Innermost active frame of a thread
+   * @param {number} tid - OS thread id
+   * @param {NativePointer} sp - Stack pointer of the caller (optional, drops unwound frames)
+   * @returns {Object|null} Frame or null
+   */
+  function current(tid, sp) {
+    const stack = stacks.get(tid);
+    if (!stack) return null;
+    unwind(stack, sp);
+    if (stack.length === 0) {
+      stacks.delete(tid);
+      return null;
+    }
+    return stack[stack.length - 1];
+  }
+
+  // Export to global scope
+  global.IL2CPPHooker = global.IL2CPPHooker || {};
+  global.IL2CPPHooker.threads = {
+    init,
+    describe,
+    threadLabel,
+    threadAllowed,
+    list,
+    enter,
+    leave,
+    current,
+  };
+})(globalThis);
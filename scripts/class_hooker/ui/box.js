@@ -59,6 +59,7 @@
       down:     '↓',
       returns:  '←',
       calls:    '→',
+      continues: '↪',
     },
 
     // Status symbols
@@ -6,8 +6,12 @@
  * Provides consistent, readable console output for IL2CPP hooking:
  * - Banner display
  * - Hook call/return formatting with verbosity levels
+ * - Call-tree mode (per-thread nesting, paired call / return lines)
+ * - Managed exceptions under the hooked call they were thrown in
+ * - Async / iterator state machine steps as continuations of the original call
  * - HTTP request blocks (grouped, numbered)
  * - Object dump blocks
+ * - Profiling table
  * - Status messages (success, error, warn, info)
  * - Timestamp and counter management
  *
@@ -20,6 +24,7 @@
   const box = global.IL2CPPHooker.ui.box;
   const { c } = colors;
   const { BOX } = box;
+  const { formatDuration } = global.IL2CPPHooker.utils;
 
   // Internal state
   let config = null;
@@ -51,6 +56,27 @@
     collapseTracker.reset();
   }
 
+  /**
+   * Re-apply UI configuration after a live config change
+   * (counters, instance ids and collapse state are kept)
+   * @param {Object} cfg - UI configuration from CONFIG.ui
+   */
+  function reconfigure(cfg) {
+    config = cfg || {};
+    colors.init(config.colors);
+  }
+
+  /**
+   * Change verbosity level at runtime
+   * @param {string} level - "minimal" | "normal" | "verbose"
+   * @returns {boolean} True if the level is known
+   */
+  function setVerbosity(level) {
+    if (!Object.prototype.hasOwnProperty.call(VERBOSITY, level)) return false;
+    config.verbosity = level;
+    return true;
+  }
+
   /**
    * Get current verbosity level
    * @returns {number} Verbosity level (0-2)
@@ -105,23 +131,32 @@
    * @param {string} opts.target - Target class name
    * @param {string} opts.assembly - Assembly name
    * @param {number} opts.methodCount - Number of methods to hook
+   * @param {Array} opts.targets - Multiple {target, assembly, methodCount, stubs} entries (optional)
    */
   function banner(opts) {
     if (!config.banner?.enabled) return;
 
     const width = 45;
+    const targets = opts.targets && opts.targets.length > 0 ? opts.targets : [opts];
     const lines = [
       box.boxTop(width, 'light'),
       box.boxLine(c.header('IL2CPP Hooker'), width, 'light'),
-      box.boxLine(`Target: ${c.type(opts.target || 'N/A')}`, width, 'light'),
     ];
 
-    if (opts.assembly) {
-      lines.push(box.boxLine(`Assembly: ${c.muted(opts.assembly)}`, width, 'light'));
-    }
-    if (opts.methodCount !== undefined) {
-      lines.push(box.boxLine(`Methods: ${c.number(opts.methodCount)} to hook`, width, 'light'));
-    }
+    targets.forEach((t, i) => {
+      if (i > 0) lines.push(box.boxMiddle(width, 'light'));
+      lines.push(box.boxLine(`Target: ${c.type(t.target || 'N/A')}`, width, 'light'));
+      if (t.assembly) {
+        lines.push(box.boxLine(`Assembly: ${c.muted(t.assembly)}`, width, 'light'));
+      }
+      if (t.methodCount !== undefined) {
+        lines.push(box.boxLine(`Methods: ${c.number(t.methodCount)} to hook`, width, 'light'));
+      }
+      // Stubbed methods do not run their real code
+      (t.stubs || []).forEach((stub) => {
+        lines.push(box.boxLine(`${c.warn('Stub:')} ${c.method(stub.method)} ${BOX.arrow.right} ${stub.value}`, width, 'light'));
+      });
+    });
 
     lines.push(box.boxBottom(width, 'light'));
     console.log(lines.join('\n'));
@@ -182,6 +217,27 @@
     console.log(`  ${c.muted(`[${index}]`)} ${assembly} ${BOX.arrow.right} ${c.type(className)}`);
   }
 
+  /**
+   * Log a target that will be resolved later
+   * @param {string} label - Target description
+   * @param {number} timeoutMs - Wait timeout (0 = none)
+   */
+  function deferredWait(label, timeoutMs) {
+    const limit = timeoutMs > 0 ? ` (timeout ${(timeoutMs / 1000).toFixed(0)}s)` : '';
+    console.log(`${timestamp()} ${c.warn(BOX.status.warn)} Waiting for ${c.type(label)}${c.muted(limit)}`);
+  }
+
+  /**
+   * Log a deferred target that finally resolved
+   * @param {string} label - Target description
+   * @param {number} count - Number of matched classes
+   * @param {number} elapsedMs - Time waited
+   */
+  function deferredResolved(label, count, elapsedMs) {
+    const classes = count === 1 ? '1 class' : `${count} classes`;
+    success(`Deferred target resolved: ${c.type(label)} ${c.muted(`(${classes} after ${(elapsedMs / 1000).toFixed(1)}s)`)}`);
+  }
+
   /**
    * Log stack trace
    * @param {string} stack - Stack trace string
@@ -218,6 +274,29 @@
     return `${c.key(paddedKey)} : ${value}`;
   }
 
+  /**
+   * Prints nested object fields (formatting.objects.depth) as an indented tree
+   * @param {Array} fields - {name, value, fields, truncated} entries
+   * @param {string} prefix - Prefix of the child lines
+   * @param {boolean} truncated - More fields than shown
+   */
+  function printFieldTree(fields, prefix, truncated) {
+    const verbose = getVerbosity() === VERBOSITY.verbose;
+    const maxKeyLen = Math.max(...fields.map(f => f.name.length), 4);
+    fields.forEach((field, i) => {
+      const isLast = i === fields.length - 1 && !truncated;
+      const branch = isLast ? BOX.tree.last : BOX.tree.branch;
+      const value = verbose ? field.value : truncate(field.value, 100);
+      console.log(`${prefix}${branch} ${formatKV(field.name, value, maxKeyLen)}`);
+      if (field.fields && field.fields.length > 0) {
+        printFieldTree(field.fields, `${prefix}${isLast ? `${BOX.tree.space} ` : BOX.tree.nested}`, field.truncated);
+      }
+    });
+    if (truncated) {
+      console.log(`${prefix}${BOX.tree.last} ${c.muted('...')}`);
+    }
+  }
+
   function buildCallKey(opts, cfg) {
     const argsKey = opts.args
       ? opts.args.map(a => `${a.name}=${a.value}`).join('|')
@@ -422,6 +501,29 @@
     return nextInstanceId;
   }
 
+  /**
+   * Instance id already assigned to a pointer (no new id is assigned)
+   * @param {string} ptr - Pointer string
+   * @returns {number|null} Id or null
+   */
+  function instanceIdOf(ptr) {
+    if (!ptr || !instanceIds) return null;
+    return instanceIds.get(ptr) ?? null;
+  }
+
+  /**
+   * Pointer of an instance id shown in call lines (Class#N)
+   * @param {number} id - Instance id
+   * @returns {string|null} Pointer string or null if unknown
+   */
+  function instanceById(id) {
+    if (!instanceIds) return null;
+    for (const [ptr, known] of instanceIds) {
+      if (known === id) return ptr;
+    }
+    return null;
+  }
+
   function formatClassName(className, thisPtr) {
     const id = getInstanceId(thisPtr);
     return c.type(id ? `${className}#${id}` : className);
@@ -436,34 +538,63 @@
     return c.ptr(thisPtr);
   }
 
+  function isCallTree() {
+    return !!config.callTree?.enabled;
+  }
+
+  /**
+   * Call-tree line prefix: thread tag, then one guide per nesting level
+   * @param {Object} opts - { frame, thread }
+   * @returns {string} Prefix
+   */
+  function treePrefix(opts) {
+    const tag = config.callTree?.showThread !== false && opts.thread
+      ? `${c.muted(`[${opts.thread}]`)} `
+      : '';
+    return `${tag}${c.muted(BOX.tree.nested.repeat(opts.frame.depth))}`;
+  }
+
   /**
    * Log method call (onEnter)
    * @param {Object} opts - Call options
    * @param {string} opts.className - Full class name
    * @param {string} opts.methodName - Method name
-   * @param {Array} opts.args - Array of {name, value} pairs
+   * @param {Array} opts.args - Array of {name, value, patched, fields, truncated} entries (fields: nested object tree)
    * @param {string} opts.thisPtr - This pointer (optional)
    * @param {boolean} opts.showThis - Show 'this' line
+   * @param {string} opts.via - Base type / interface the hooked class was matched by (optional)
+   * @param {Object} opts.frame - Call-tree frame { id, depth } (optional)
+   * @param {string} opts.thread - Thread label (optional)
+   * @param {Array<string>} opts.patched - Names of arguments rewritten by a patch (optional)
    */
   function hookCall(opts) {
     const v = getVerbosity();
     const ts = timestamp();
     const method = `${formatClassName(opts.className, opts.thisPtr)}.${c.method(opts.methodName)}`;
-
-    if (collapseTracker && collapseTracker.handle(opts, method)) {
+    const via = opts.via ? ` ${c.muted(`(: ${opts.via})`)}` : '';
+    const tree = opts.frame && isCallTree();
+    const pre = tree ? treePrefix(opts) : '';
+    const callId = tree ? ` ${c.muted(`(call ${opts.frame.id})`)}` : '';
+    const thread = !tree && opts.thread ? `${c.muted(`[${opts.thread}]`)} ` : '';
+    const patched = opts.patched ? ` ${c.warn(`${BOX.status.warn} patched: ${opts.patched.join(', ')}`)}` : '';
+
+    // Collapsing would break call / return pairing in the call tree
+    if (!tree && collapseTracker && collapseTracker.handle(opts, method)) {
       return;
     }
 
     if (v === VERBOSITY.minimal) {
       // Minimal: single line
       const argsInline = opts.args?.map(a => `${a.name}=${truncate(a.value, 30)}`).join(', ') || '';
-      console.log(`${ts} ${BOX.arrow.calls} ${method}(${argsInline})`);
+      console.log(`${ts} ${thread}${pre}${BOX.arrow.calls} ${method}(${argsInline})${via}${callId}${patched}`);
       return;
     }
 
-    // Normal/Verbose: structured output
-    console.log(`${ts} ${box.separator(40)}`);
-    console.log(`${BOX.arrow.calls} ${method}()`);
+    // Normal/Verbose: structured output (one separator per top-level call in the tree)
+    if (!tree || opts.frame.depth === 0) {
+      console.log(`${ts} ${box.separator(40)}`);
+    }
+    console.log(`${thread}${pre}${BOX.arrow.calls} ${method}()${via}${callId}${patched}`);
 
     const hasThisLine = opts.showThis && opts.thisPtr;
     if (opts.args && opts.args.length > 0) {
@@ -472,32 +603,195 @@
         const isLast = i === opts.args.length - 1 && !hasThisLine;
         const branch = isLast ? BOX.tree.last : BOX.tree.branch;
         const val = v === VERBOSITY.verbose ? arg.value : truncate(arg.value, 100);
-        console.log(`  ${branch} ${formatKV(arg.name, val, maxKeyLen)}`);
+        const mark = arg.patched ? ` ${c.warn('(patched)')}` : '';
+        console.log(`${pre}  ${branch} ${formatKV(arg.name, val, maxKeyLen)}${mark}`);
+        if (arg.fields && arg.fields.length > 0) {
+          printFieldTree(arg.fields, `${pre}  ${isLast ? `${BOX.tree.space} ` : BOX.tree.nested}`, arg.truncated);
+        }
       });
     }
 
     if (hasThisLine) {
       const thisVal = formatThisValue(opts.thisPtr);
-      console.log(`  ${BOX.tree.last} ${c.key('this')}    : ${thisVal}`);
+      console.log(`${pre}  ${BOX.tree.last} ${c.key('this')}    : ${thisVal}`);
     }
   }
 
+  /**
+   * Log a call to a stubbed method
+   * @param {Object} opts - Call options
+   * @param {string} opts.className - Full class name
+   * @param {string} opts.methodName - Method name
+   * @param {string} opts.value - Value returned by the stub (null when the original ran)
+   * @param {string} opts.thread - Thread label (optional)
+   */
+  function stubCall(opts) {
+    const thread = opts.thread ? `${c.muted(`[${opts.thread}]`)} ` : '';
+    const method = `${c.type(opts.className)}.${c.method(opts.methodName)}`;
+    const result = opts.value === null
+      ? c.muted('original called (callOriginalIf)')
+      : `${c.warn('stubbed')} ${BOX.arrow.returns} ${opts.value}`;
+    console.log(`${timestamp()} ${thread}${BOX.arrow.calls} ${method}() ${result}`);
+  }
+
   /**
    * Log method return (onLeave)
    * @param {Object} opts - Return options
    * @param {string} opts.className - Full class name
    * @param {string} opts.methodName - Method name
-   * @param {string} opts.value - Return value
+   * @param {string} opts.value - Return value (undefined in the call tree without return logging)
+   * @param {number} opts.durationMs - Call duration (optional)
+   * @param {Object} opts.frame - Call-tree frame of the matching call (optional)
+   * @param {string} opts.thread - Thread label for the call tree (optional)
+   * @param {string} opts.patched - Patched return value; opts.value is then the original (optional)
+   * @param {Array} opts.refs - Final out / ref argument values as {name, value} (optional)
    */
   function hookReturn(opts) {
     const v = getVerbosity();
-    const val = v === VERBOSITY.verbose ? opts.value : truncate(opts.value, 120);
+    const hasValue = opts.value !== undefined || !!opts.patched;
+    let val = opts.value === undefined || v === VERBOSITY.verbose ? opts.value : truncate(opts.value, 120);
+    if (opts.patched) {
+      const was = val !== undefined ? `, was ${val}` : '';
+      val = `${opts.patched} ${c.warn(`(patched${was})`)}`;
+    }
+
+    const duration = typeof opts.durationMs === "number"
+      ? ` ${c.muted(`(${formatDuration(opts.durationMs)})`)}`
+      : "";
+    const refs = opts.refs || [];
+    const refsInline = refs.length > 0
+      ? ` ${c.muted('out:')} ${refs.map(r => `${r.name}=${truncate(r.value, 60)}`).join(', ')}`
+      : '';
+
+    if (opts.frame && isCallTree()) {
+      // Call tree: name the call being closed, at its call's depth
+      const meta = typeof opts.durationMs === "number"
+        ? `(call ${opts.frame.id}, ${formatDuration(opts.durationMs)})`
+        : `(call ${opts.frame.id})`;
+      const ret = hasValue ? ` ret: ${val}` : '';
+      console.log(`${treePrefix(opts)}${BOX.arrow.returns} ${c.type(opts.className)}.${c.method(opts.methodName)}${ret}${refsInline} ${c.muted(meta)}`);
+      return;
+    }
+    if (!hasValue && refs.length === 0) return;
 
     if (v === VERBOSITY.minimal) {
-      console.log(`  ${BOX.arrow.returns} ${val}`);
-    } else {
-      console.log(`${BOX.arrow.returns} ret: ${val}`);
+      console.log(`  ${BOX.arrow.returns} ${hasValue ? val : ''}${refsInline}${duration}`);
+      return;
     }
+    console.log(hasValue
+      ? `${BOX.arrow.returns} ret: ${val}${duration}`
+      : `${BOX.arrow.returns} ${c.muted('out / ref')}${duration}`);
+    // Out / ref arguments as they are after the call
+    const maxKeyLen = Math.max(...refs.map(r => r.name.length), 4);
+    refs.forEach((ref, i) => {
+      const branch = i === refs.length - 1 ? BOX.tree.last : BOX.tree.branch;
+      const value = v === VERBOSITY.verbose ? ref.value : truncate(ref.value, 100);
+      console.log(`  ${branch} ${formatKV(ref.name, value, maxKeyLen)}`);
+    });
+  }
+
+  /**
+   * Log a managed exception, under the hooked call it was thrown in
+   * @param {Object} opts - Exception options
+   * @param {string} opts.type - Exception class
+   * @param {string} opts.message - Exception message (optional)
+   * @param {Array<string>} opts.stack - Stack trace lines (optional)
+   * @param {Object} opts.frame - Innermost hooked call frame { id, depth, label } (optional)
+   * @param {string} opts.site - Throwing method outside of hooked calls (optional)
+   * @param {string} opts.thread - Thread label
+   */
+  function managedException(opts) {
+    const tree = opts.frame && isCallTree();
+    const pre = tree
+      ? `${treePrefix({ frame: { depth: opts.frame.depth + 1 }, thread: opts.thread })}`
+      : `${timestamp()} ${c.muted(`[${opts.thread}]`)} `;
+    let where = '';
+    if (opts.frame) {
+      where = ` in ${c.method(opts.frame.label || '?')} ${c.muted(`(call ${opts.frame.id})`)}`;
+    } else if (opts.site) {
+      where = ` in ${c.method(opts.site)}`;
+    }
+    const message = opts.message ? `: ${opts.message}` : '';
+    console.log(`${pre}${c.error(`${BOX.status.error} ${opts.type}`)}${where}${message}`);
+    (opts.stack || []).forEach((line) => {
+      console.log(c.muted(`${tree ? treePrefix({ frame: { depth: opts.frame.depth + 1 } }) : ''}    ${line}`));
+    });
+  }
+
+  /**
+   * Log an async / iterator state machine step (MoveNext), as a continuation
+   * of the original method call
+   * @param {Object} opts - Step options
+   * @param {string} opts.className - Class of the async / iterator method
+   * @param {string} opts.methodName - Async / iterator method name
+   * @param {string} opts.kind - "async" | "iterator"
+   * @param {number} opts.callId - Call id of the original call (optional)
+   * @param {string} opts.event - started | resumed | awaiting | yield | done | completed | faulted | canceled
+   * @param {number} opts.state - <>1__state value
+   * @param {string} opts.value - Yielded value or Task result (optional)
+   * @param {Array} opts.locals - Hoisted locals as {name, value} (optional)
+   * @param {Object} opts.frame - Innermost active call-tree frame (optional)
+   * @param {string} opts.thread - Thread label (optional)
+   */
+  function stateMachineStep(opts) {
+    const v = getVerbosity();
+    const tree = opts.frame && isCallTree();
+    const pre = tree
+      ? treePrefix({ frame: { depth: opts.frame.depth + 1 }, thread: opts.thread })
+      : `${timestamp()} ${opts.thread ? `${c.muted(`[${opts.thread}]`)} ` : ''}`;
+    const callId = opts.callId !== null && opts.callId !== undefined ? ` ${c.muted(`(call ${opts.callId})`)}` : '';
+    const method = `${c.type(opts.className)}.${c.method(opts.methodName)}${callId}`;
+
+    let status;
+    switch (opts.event) {
+      case 'started':
+        status = c.muted(`${opts.kind} started`);
+        break;
+      case 'resumed':
+        status = c.muted(`resumed at state ${opts.state}`);
+        break;
+      case 'awaiting':
+        status = `awaiting ${c.muted(`(state ${opts.state})`)}`;
+        break;
+      case 'yield':
+        status = `yield ${BOX.arrow.returns} ${opts.value ?? '?'}`;
+        break;
+      case 'done':
+        status = c.muted('done');
+        break;
+      case 'completed':
+        status = `${c.success(`${BOX.status.success} completed`)}${opts.value != null ? ` ${BOX.arrow.returns} ${opts.value}` : ''}`;
+        break;
+      default:
+        status = c.error(`${BOX.status.error} ${opts.event}`);
+        break;
+    }
+
+    const locals = opts.locals || [];
+    if (v === VERBOSITY.minimal || locals.length === 0) {
+      const inline = locals.length > 0 ? ` ${locals.map(l => `${l.name}=${truncate(l.value, 30)}`).join(', ')}` : '';
+      console.log(`${pre}${BOX.arrow.continues} ${method} ${status}${inline}`);
+      return;
+    }
+    console.log(`${pre}${BOX.arrow.continues} ${method} ${status}`);
+    const indent = tree ? treePrefix({ frame: { depth: opts.frame.depth + 1 } }) : '';
+    const maxKeyLen = Math.max(...locals.map(l => l.name.length), 4);
+    locals.forEach((local, i) => {
+      const branch = i === locals.length - 1 ? BOX.tree.last : BOX.tree.branch;
+      const value = v === VERBOSITY.verbose ? local.value : truncate(local.value, 100);
+      console.log(`${indent}  ${branch} ${formatKV(local.name, value, maxKeyLen)}`);
+    });
+  }
+
+  /**
+   * Log calls suppressed by a sampling budget since the last report
+   * @param {string} label - "Class.Method"
+   * @param {number} count - Suppressed calls
+   * @param {string} reason - Budget that suppressed them
+   * @param {number} seen - Calls seen in total
+   */
+  function suppressedCalls(label, count, reason, seen) {
+    console.log(`${timestamp()} ${c.muted('⋯')} ${c.type(label)} ${c.muted(`suppressed ${count} calls (${reason}, ${seen} total)`)}`);
   }
 
   // ═══════════════════════════════════════════════════════════════════
@@ -628,7 +922,7 @@
    * @param {string} opts.typeName - Type name
    * @param {string} opts.ptr - Pointer address
    * @param {string} opts.className - Full class name (optional)
-   * @param {Array} opts.fields - Array of {name, value} pairs
+   * @param {Array} opts.fields - Array of {name, value} pairs (nested objects: fields, truncated)
    */
   function dumpBlock(opts) {
     const counter = nextCounter();
@@ -649,6 +943,9 @@
         const key = box.pad(field.name, maxKeyLen, 'left');
         const val = truncate(field.value, 40);
         console.log(`${BOX.light.v} ${c.key(key)} : ${val}`);
+        if (field.fields && field.fields.length > 0) {
+          printFieldTree(field.fields, `${BOX.light.v}   `, field.truncated);
+        }
       });
     }
 
@@ -659,6 +956,38 @@
     console.log(box.boxBottom(width, 'light'));
   }
 
+  // ═══════════════════════════════════════════════════════════════════
+  // PROFILING
+  // ═══════════════════════════════════════════════════════════════════
+
+  /**
+   * Display profiling table (one row per hooked method)
+   * @param {Array<Object>} rows - Rows from profiler.rows()
+   * @param {string} sortBy - Sort key used
+   * @param {number} totalMethods - Profiled methods (rows may be truncated)
+   */
+  function profileTable(rows, sortBy, totalMethods) {
+    console.log('');
+    console.log(`${c.header('=== PROFILE ===')} sorted by ${c.key(sortBy)} (${c.number(rows.length)}/${totalMethods} methods)`);
+    if (rows.length === 0) {
+      console.log(`  ${c.muted('no calls recorded')}`);
+    } else {
+      const width = Math.min(60, Math.max(6, ...rows.map((r) => r.method.length)));
+      const cols = ['count', 'total', 'avg', 'min', 'max', 'p50', 'p95'];
+      console.log(`  ${c.muted('method'.padEnd(width))} ${cols.map((col) => c.muted(col.padStart(9))).join(' ')}`);
+      rows.forEach((r) => {
+        const name = r.method.length > width ? r.method.slice(0, width - 3) + '...' : r.method.padEnd(width);
+        const cells = cols.map((col) => {
+          const text = col === 'count' ? String(r.count) : formatDuration(r[col]);
+          return col === sortBy ? c.number(text.padStart(9)) : text.padStart(9);
+        });
+        console.log(`  ${c.type(name)} ${cells.join(' ')}`);
+      });
+    }
+    console.log(c.header('=== END PROFILE ==='));
+    console.log('');
+  }
+
   // ═══════════════════════════════════════════════════════════════════
   // METHOD LISTING
   // ═══════════════════════════════════════════════════════════════════
@@ -716,18 +1045,47 @@
     error(`Failed: ${signature} (${reason})`);
   }
 
+  /**
+   * Log a hook detached after repeated errors
+   * @param {string} signature - Method signature
+   * @param {number} errors - Errors counted
+   * @param {string} lastError - Last error message
+   */
+  function hookQuarantined(signature, errors, lastError) {
+    error(`Quarantined: ${signature} (${errors} errors, last: ${lastError})`);
+  }
+
   /**
    * Log hook summary
    * @param {number} hooked - Successfully hooked count
    * @param {number} failed - Failed count
    * @param {number} total - Total attempted
+   * @param {string} label - Class name for a per-class line (optional)
+   * @param {Array<Object>} quarantined - Quarantined hooks { signature, errors, lastError } (optional)
    */
-  function hookSummary(hooked, failed, total) {
+  function hookSummary(hooked, failed, total, label, quarantined) {
+    if (label) {
+      console.log(`  ${c.type(label)}: ${c.number(hooked)} hooked (${c.error(failed)} failed, ${total} total)`);
+      return;
+    }
     console.log('');
     console.log(`${c.success(BOX.status.success)} Hooked ${c.number(hooked)} methods (${c.error(failed)} failed, ${total} total)`);
+    quarantineSummary(quarantined);
     console.log('');
   }
 
+  /**
+   * Log the hooks quarantined so far (nothing when there are none)
+   * @param {Array<Object>} quarantined - Quarantined hooks { signature, errors, lastError }
+   */
+  function quarantineSummary(quarantined) {
+    if (!quarantined || quarantined.length === 0) return;
+    console.log(`${c.error(BOX.status.error)} Quarantined ${c.number(quarantined.length)} hooks:`);
+    quarantined.forEach((q) => {
+      console.log(`  ${c.method(q.signature)} ${c.muted(`(${q.errors} errors, last: ${q.lastError})`)}`);
+    });
+  }
+
   // ═══════════════════════════════════════════════════════════════════
   // ANALYSIS BLOCKS
   // ═══════════════════════════════════════════════════════════════════
@@ -763,11 +1121,17 @@
   Object.assign(global.IL2CPPHooker.ui, {
     // Core
     init,
+    reconfigure,
     timestamp,
     truncate,
     getVerbosity,
+    setVerbosity,
     VERBOSITY,
 
+    // Instances
+    instanceIdOf,
+    instanceById,
+
     // Banner
     banner,
 
@@ -778,12 +1142,19 @@
     info,
     suggestion,
     classMatch,
+    deferredWait,
+    deferredResolved,
 
     // Hooks
     hookCall,
     hookReturn,
+    stubCall,
+    managedException,
+    stateMachineStep,
     hookInstalled,
     hookFailed,
+    hookQuarantined,
+    quarantineSummary,
     hookSummary,
     stackTrace,
 
@@ -798,6 +1169,12 @@
     // Dump
     dumpBlock,
 
+    // Sampling
+    suppressedCalls,
+
+    // Profiling
+    profileTable,
+
     // Methods
     methodListStart,
     methodListItem,
@@ -120,6 +120,12 @@
     return (bytes / (1024 * 1024)).toFixed(1) + " MB";
   }
 
+  function formatDuration(ms) {
+    if (ms < 1) return (ms * 1000).toFixed(0) + "µs";
+    if (ms < 1000) return ms.toFixed(2) + "ms";
+    return (ms / 1000).toFixed(2) + "s";
+  }
+
   function readByteArraySummary(arrayPtr, maxPreviewBytes) {
     if (!arrayPtr || arrayPtr.isNull()) return null;
     maxPreviewBytes = maxPreviewBytes || 20;
@@ -292,6 +298,41 @@
     }
   }
 
+  // Signatures
+
+  /**
+   * Splits a parameter list on top-level commas (ignores commas inside <>, [])
+   */
+  function splitParams(list) {
+    const parts = [];
+    let depth = 0;
+    let current = "";
+    for (const ch of list) {
+      if (ch === "<" || ch === "[" || ch === "(") depth++;
+      if (ch === ">" || ch === "]" || ch === ")") depth--;
+      if (ch === "," && depth === 0) {
+        parts.push(current.trim());
+        current = "";
+        continue;
+      }
+      current += ch;
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
+  // Config Lookup
+
+  /**
+   * Keys under which per-method settings may be configured, most specific first:
+   * "Namespace.Class.Method", "Class.Method", "Method" (label = generic display name)
+   */
+  function methodConfigKeys(classFullName, methodName, label) {
+    const shortClass = classFullName.replace(/^.*\./, "");
+    const keys = [`${classFullName}.${label}`, `${classFullName}.${methodName}`, `${shortClass}.${label}`, `${shortClass}.${methodName}`, label, methodName];
+    return keys.filter((k, i) => keys.indexOf(k) === i);
+  }
+
   global.IL2CPPHooker = global.IL2CPPHooker || {};
   global.IL2CPPHooker.utils = {
     truncate,
@@ -304,6 +345,7 @@
     isListClass,
     isMultimapClass,
     formatSize,
+    formatDuration,
     readByteArraySummary,
     readListCount,
     readDictionarySummary,
@@ -313,5 +355,7 @@
     findIntField,
     readInt64Arg,
     readNullableInt64Arg,
+    splitParams,
+    methodConfigKeys,
   };
 })(globalThis);